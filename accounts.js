@@ -0,0 +1,87 @@
+import GLib from 'gi://GLib';
+
+/**
+ * Linear account configuration helpers
+ *
+ * Accounts are stored as a JSON array in the `accounts` settings key and are
+ * shared between the extension and the preferences window. Credentials are
+ * not part of the account record; they live in the keyring, keyed by account ID.
+ */
+
+export const DEFAULT_ACCOUNT_ID = 'default';
+
+/**
+ * Create a new, empty account record
+ */
+export function createAccount(name, id = GLib.uuid_string_random()) {
+    return {
+        id,
+        name,
+        enabled: true,
+        authMethod: 'oauth',
+        tokenExpiresAt: '',
+        workspaceId: '',
+        workspaceName: '',
+        filters: {}
+    };
+}
+
+/**
+ * Load all configured accounts, migrating the single-account settings of
+ * older versions into a default account on first use
+ */
+export function loadAccounts(settings) {
+    if (settings.get_user_value('accounts') === null) {
+        return migrateLegacyAccount(settings);
+    }
+
+    try {
+        const accounts = JSON.parse(settings.get_string('accounts'));
+        return Array.isArray(accounts) ? accounts : [];
+    } catch (error) {
+        console.error('Failed to parse Linear accounts:', error);
+        return [];
+    }
+}
+
+export function saveAccounts(settings, accounts) {
+    settings.set_string('accounts', JSON.stringify(accounts));
+}
+
+export function getAccount(settings, accountId) {
+    return loadAccounts(settings).find(account => account.id === accountId) || null;
+}
+
+/**
+ * Merge changes into one account record
+ */
+export function updateAccount(settings, accountId, changes) {
+    const accounts = loadAccounts(settings).map(account =>
+        account.id === accountId ? { ...account, ...changes } : account
+    );
+    saveAccounts(settings, accounts);
+}
+
+export function removeAccount(settings, accountId) {
+    saveAccounts(settings, loadAccounts(settings).filter(account => account.id !== accountId));
+}
+
+/**
+ * Get the display name used to tag notifications from an account
+ */
+export function getAccountDisplayName(account) {
+    return account?.workspaceName || account?.name || 'Linear';
+}
+
+function migrateLegacyAccount(settings) {
+    const account = createAccount('Linear', DEFAULT_ACCOUNT_ID);
+    account.authMethod = settings.get_string('auth-method');
+    account.tokenExpiresAt = settings.get_string('token-expires-at');
+
+    // The legacy last-update-time moves into the notification store instead
+    saveAccounts(settings, [account]);
+    settings.reset('auth-method');
+    settings.reset('token-expires-at');
+
+    return [account];
+}
@@ -0,0 +1,232 @@
+import GLib from 'gi://GLib';
+import Secret from 'gi://Secret';
+import { DEFAULT_ACCOUNT_ID, loadAccounts } from './accounts.js';
+import { Logger } from './logger.js';
+
+/**
+ * Credentials stored per account in the keyring rather than in GSettings
+ */
+export const ACCOUNT_CREDENTIAL_KEYS = ['api-token', 'oauth-token', 'refresh-token'];
+
+/**
+ * Credentials shared by all accounts (the OAuth application)
+ */
+export const GLOBAL_CREDENTIAL_KEYS = ['oauth-client-secret'];
+
+const CREDENTIAL_LABELS = {
+    'api-token': 'Linear API Token',
+    'oauth-token': 'Linear OAuth Access Token',
+    'refresh-token': 'Linear OAuth Refresh Token',
+    'oauth-client-secret': 'Linear OAuth Client Secret'
+};
+
+const SECRET_SCHEMA = Secret.Schema.new(
+    'org.gnome.shell.extensions.linear-notifications',
+    Secret.SchemaFlags.NONE,
+    { 'key': Secret.SchemaAttributeType.STRING }
+);
+
+// Separate schema name so per-account items never match global lookups
+const ACCOUNT_SECRET_SCHEMA = Secret.Schema.new(
+    'org.gnome.shell.extensions.linear-notifications.Account',
+    Secret.SchemaFlags.NONE,
+    {
+        'account': Secret.SchemaAttributeType.STRING,
+        'key': Secret.SchemaAttributeType.STRING
+    }
+);
+
+/**
+ * Linear credential storage backed by the Secret Service (GNOME keyring)
+ *
+ * Secrets are loaded asynchronously into an in-memory cache so callers can
+ * read them synchronously. Since the keyring has no change notification,
+ * writes bump the `credentials-changed` settings key so the extension and
+ * the preferences window can reload each other's changes.
+ */
+export class LinearCredentialStore {
+    constructor(settings) {
+        this.settings = settings;
+        this.cache = new Map();
+        this.loaded = false;
+        this.lastMarker = null;
+        this.logger = new Logger('CredentialStore');
+    }
+
+    /**
+     * Load all credentials from the keyring, migrating any values still in GSettings first
+     * @returns {Promise<boolean>} - false if the keyring is locked or unavailable
+     */
+    async load() {
+        try {
+            await this.migrateFromSettings();
+
+            // Fill a fresh cache so readers never see a half-loaded state
+            const cache = new Map();
+
+            for (const key of GLOBAL_CREDENTIAL_KEYS) {
+                cache.set(this.cacheKey(null, key), await this.lookupSecret(null, key) || '');
+            }
+
+            for (const account of loadAccounts(this.settings)) {
+                for (const key of ACCOUNT_CREDENTIAL_KEYS) {
+                    cache.set(this.cacheKey(account.id, key), await this.lookupSecret(account.id, key) || '');
+                }
+            }
+
+            this.cache = cache;
+
+            this.loaded = true;
+        } catch (error) {
+            this.logger.warn('Keyring is locked or unavailable:', error.message);
+            this.loaded = false;
+        }
+
+        return this.loaded;
+    }
+
+    /**
+     * Get a cached credential (empty string if unset or not loaded)
+     * @param {string|null} accountId - account ID, or null for global credentials
+     * @param {string} key - credential name
+     */
+    get(accountId, key) {
+        return this.cache.get(this.cacheKey(accountId, key)) || '';
+    }
+
+    /**
+     * Store a credential in the keyring, or remove it when value is empty
+     * @param {string|null} accountId - account ID, or null for global credentials
+     */
+    async set(accountId, key, value) {
+        if (value) {
+            await this.storeSecret(accountId, key, value);
+        } else {
+            await this.clearSecret(accountId, key);
+        }
+
+        this.cache.set(this.cacheKey(accountId, key), value || '');
+        this.notifyChanged(key);
+    }
+
+    /**
+     * Remove all credentials of a deleted account
+     */
+    async clearAccount(accountId) {
+        for (const key of ACCOUNT_CREDENTIAL_KEYS) {
+            await this.clearSecret(accountId, key);
+            this.cache.delete(this.cacheKey(accountId, key));
+        }
+
+        this.notifyChanged(accountId);
+    }
+
+    cacheKey(accountId, key) {
+        return accountId ? `${accountId}/${key}` : key;
+    }
+
+    /**
+     * Call back whenever any process changes a credential.
+     * Changes made by other processes are reloaded before the callback runs.
+     */
+    connectChanged(callback) {
+        return this.settings.connect('changed::credentials-changed', async () => {
+            const marker = this.settings.get_string('credentials-changed');
+
+            if (marker !== this.lastMarker) {
+                await this.load();
+            }
+
+            callback();
+        });
+    }
+
+    disconnectChanged(connectionId) {
+        this.settings.disconnect(connectionId);
+    }
+
+    notifyChanged(key) {
+        this.lastMarker = `${key}:${GLib.get_real_time()}`;
+        this.settings.set_string('credentials-changed', this.lastMarker);
+    }
+
+    /**
+     * Move credentials left in GSettings by older versions into the keyring.
+     * Values are only cleared once they have been stored successfully.
+     */
+    async migrateFromSettings() {
+        for (const key of [...GLOBAL_CREDENTIAL_KEYS, ...ACCOUNT_CREDENTIAL_KEYS]) {
+            const value = this.settings.get_string(key);
+            if (!value) {
+                continue;
+            }
+
+            const accountId = GLOBAL_CREDENTIAL_KEYS.includes(key) ? null : DEFAULT_ACCOUNT_ID;
+            await this.storeSecret(accountId, key, value);
+            this.settings.reset(key);
+            this.logger.info(`Migrated ${key} from GSettings to the keyring`);
+        }
+    }
+
+    /**
+     * Schema and attributes identifying a credential in the keyring
+     */
+    secretQuery(accountId, key) {
+        if (accountId) {
+            return [ACCOUNT_SECRET_SCHEMA, { 'account': accountId, 'key': key }];
+        }
+
+        return [SECRET_SCHEMA, { 'key': key }];
+    }
+
+    lookupSecret(accountId, key) {
+        const [schema, attributes] = this.secretQuery(accountId, key);
+
+        return new Promise((resolve, reject) => {
+            Secret.password_lookup(schema, attributes, null, (source, result) => {
+                try {
+                    resolve(Secret.password_lookup_finish(result));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    storeSecret(accountId, key, value) {
+        const [schema, attributes] = this.secretQuery(accountId, key);
+        const label = CREDENTIAL_LABELS[key] || key;
+
+        return new Promise((resolve, reject) => {
+            Secret.password_store(
+                schema,
+                attributes,
+                Secret.COLLECTION_DEFAULT,
+                accountId ? `${label} (${accountId})` : label,
+                value,
+                null,
+                (source, result) => {
+                    try {
+                        resolve(Secret.password_store_finish(result));
+                    } catch (error) {
+                        reject(error);
+                    }
+                }
+            );
+        });
+    }
+
+    clearSecret(accountId, key) {
+        const [schema, attributes] = this.secretQuery(accountId, key);
+
+        return new Promise((resolve, reject) => {
+            Secret.password_clear(schema, attributes, null, (source, result) => {
+                try {
+                    resolve(Secret.password_clear_finish(result));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,211 @@
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { Logger } from './logger.js';
+import { parseSnoozePreset } from './snooze.js';
+
+const OBJECT_PATH = '/org/gnome/Shell/Extensions/LinearNotifications';
+const ERROR_NAME = 'org.gnome.Shell.Extensions.LinearNotifications.Error.Failed';
+
+const INTERFACE_XML = `
+<node>
+  <interface name="org.gnome.Shell.Extensions.LinearNotifications">
+    <method name="GetStatus">
+      <arg type="s" direction="out" name="status"/>
+    </method>
+    <method name="ForcePoll">
+      <arg type="s" direction="in" name="accountId"/>
+    </method>
+    <method name="Reset">
+      <arg type="s" direction="in" name="accountId"/>
+    </method>
+    <method name="ListNotifications">
+      <arg type="s" direction="in" name="accountId"/>
+      <arg type="u" direction="in" name="limit"/>
+      <arg type="s" direction="out" name="notifications"/>
+    </method>
+    <method name="MarkRead">
+      <arg type="s" direction="in" name="notificationId"/>
+    </method>
+    <method name="Snooze">
+      <arg type="s" direction="in" name="notificationId"/>
+      <arg type="s" direction="in" name="until"/>
+    </method>
+    <method name="Archive">
+      <arg type="s" direction="in" name="notificationId"/>
+    </method>
+    <method name="Pause"/>
+    <method name="Resume"/>
+    <property name="Paused" type="b" access="read"/>
+    <signal name="NotificationReceived">
+      <arg type="s" name="notificationId"/>
+      <arg type="s" name="accountId"/>
+      <arg type="s" name="type"/>
+      <arg type="s" name="title"/>
+      <arg type="s" name="body"/>
+      <arg type="s" name="url"/>
+    </signal>
+    <signal name="PollCompleted">
+      <arg type="s" name="accountId"/>
+    </signal>
+  </interface>
+</node>`;
+
+/**
+ * Session D-Bus interface for scripting the extension
+ *
+ * Exported on the shell's own connection, so it is reached at the
+ * org.gnome.Shell bus name. Structured results are returned as JSON strings,
+ * and account ID arguments may be empty to mean every account. Methods acting
+ * on a notification reply once Linear applied the change, or with an error.
+ */
+export class LinearDBusService {
+    constructor(extension) {
+        this.extension = extension;
+        this.logger = new Logger('DBusService');
+
+        this.dbusObject = Gio.DBusExportedObject.wrapJSObject(INTERFACE_XML, this);
+        this.dbusObject.export(Gio.DBus.session, OBJECT_PATH);
+
+        this.notificationConnection = extension.notificationManager.connect('notification-added',
+            (manager, notification) => this.emitNotificationReceived(notification));
+
+        this.logger.debug(`Exported on ${OBJECT_PATH}`);
+    }
+
+    GetStatus() {
+        return JSON.stringify({
+            paused: this.extension.paused,
+            accounts: this.getPollingServices('').map(pollingService => pollingService.getStatus())
+        });
+    }
+
+    ForcePoll(accountId) {
+        for (const pollingService of this.getPollingServices(accountId)) {
+            pollingService.forcePoll();
+        }
+    }
+
+    Reset(accountId) {
+        for (const pollingService of this.getPollingServices(accountId)) {
+            pollingService.reset();
+        }
+    }
+
+    ListNotifications(accountId, limit) {
+        return JSON.stringify(this.extension.notificationStore.getHistory(accountId || null, limit || undefined));
+    }
+
+    MarkReadAsync([notificationId], invocation) {
+        this.handleAsync(invocation, async () => {
+            const entry = this.getNotification(notificationId);
+            await this.extension.notificationManager.markNotificationAsRead(entry.id, entry.accountId);
+        });
+    }
+
+    /**
+     * @param {string} until - a snooze preset such as "3h" or "tomorrow 09:00", or an ISO 8601 time
+     */
+    SnoozeAsync([notificationId, until], invocation) {
+        this.handleAsync(invocation, async () => {
+            const entry = this.getNotification(notificationId);
+
+            const preset = parseSnoozePreset(until);
+            const snoozedUntil = preset ? preset.getTime(new Date()) : new Date(until);
+            if (isNaN(snoozedUntil.getTime())) {
+                throw new Error(`Invalid snooze time "${until}"`);
+            }
+
+            await this.extension.notificationManager.snoozeNotification(
+                entry.id, snoozedUntil.toISOString(), entry.accountId);
+        });
+    }
+
+    ArchiveAsync([notificationId], invocation) {
+        this.handleAsync(invocation, async () => {
+            const entry = this.getNotification(notificationId);
+            await this.extension.notificationManager.archiveNotification(entry.id, entry.accountId);
+        });
+    }
+
+    Pause() {
+        this.extension.setPaused(true);
+        this.dbusObject.emit_property_changed('Paused', GLib.Variant.new_boolean(true));
+    }
+
+    Resume() {
+        this.extension.setPaused(false);
+        this.dbusObject.emit_property_changed('Paused', GLib.Variant.new_boolean(false));
+    }
+
+    get Paused() {
+        return this.extension.paused;
+    }
+
+    emitPollCompleted(accountId) {
+        this.dbusObject.emit_signal('PollCompleted', new GLib.Variant('(s)', [accountId]));
+    }
+
+    emitNotificationReceived(notification) {
+        const data = notification.data || {};
+
+        this.dbusObject.emit_signal('NotificationReceived', new GLib.Variant('(ssssss)', [
+            data.notificationId ?? '',
+            data.accountId ?? '',
+            notification.type ?? '',
+            notification.title ?? '',
+            notification.body ?? '',
+            notification.url ?? ''
+        ]));
+    }
+
+    /**
+     * Reply to a method call once its action finished, or with its error
+     */
+    async handleAsync(invocation, action) {
+        try {
+            await action();
+            invocation.return_value(null);
+        } catch (error) {
+            this.logger.error(`${invocation.get_method_name()} failed:`, error.message);
+            invocation.return_dbus_error(ERROR_NAME, error.message);
+        }
+    }
+
+    getPollingServices(accountId) {
+        const pollingServices = [...this.extension.pollingServices.values()];
+
+        if (!accountId) {
+            return pollingServices;
+        }
+
+        const pollingService = this.extension.pollingServices.get(accountId);
+        if (!pollingService) {
+            throw new Error(`Unknown account "${accountId}"`);
+        }
+
+        return [pollingService];
+    }
+
+    /**
+     * Look up a delivered notification, which tells the account it belongs to
+     */
+    getNotification(notificationId) {
+        const entry = this.extension.notificationStore.get(notificationId);
+        if (!entry) {
+            throw new Error(`Unknown notification "${notificationId}"`);
+        }
+
+        return entry;
+    }
+
+    destroy() {
+        if (this.notificationConnection) {
+            this.extension.notificationManager?.disconnect(this.notificationConnection);
+            this.notificationConnection = null;
+        }
+
+        this.dbusObject.unexport();
+        this.dbusObject = null;
+    }
+}
\ No newline at end of file
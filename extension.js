@@ -1,7 +1,13 @@
 import * as Extension from 'resource:///org/gnome/shell/extensions/extension.js';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 
+import { loadAccounts } from './accounts.js';
+import { LinearCredentialStore } from './credential-store.js';
+import { LinearDBusService } from './dbus-service.js';
+import { LinearIndicator } from './indicator.js';
 import { LinearNotificationManager } from './notification-manager.js';
+import { LinearNotificationStore } from './notification-store.js';
+import { migrateTypeSettings } from './notification-types.js';
 import { LinearPollingService } from './polling-service.js';
 import { LinearOAuthHandler } from './oauth-handler.js';
 import { Logger } from './logger.js';
@@ -11,71 +17,156 @@ export default class LinearNotificationsExtension extends Extension.Extension {
         this.logger = new Logger('Extension');
         this.settings = this.getSettings();
 
+        // Move per-type settings of older versions to the type registry IDs
+        migrateTypeSettings(this.settings);
+
+        // Credentials live in the keyring and are loaded asynchronously below
+        this.credentialStore = new LinearCredentialStore(this.settings);
+
         // Initialize OAuth handler
         this.oauthHandler = new LinearOAuthHandler(this);
 
-        // Initialize notification manager and polling service
+        // Delivered notifications persist across sessions; loaded asynchronously below
+        this.notificationStore = new LinearNotificationStore(this.settings);
+
+        // Initialize notification manager; one polling service per enabled account
         this.notificationManager = new LinearNotificationManager(this);
-        this.pollingService = new LinearPollingService(this, this.notificationManager);
+        this.pollingServices = new Map();
 
-        // Expose Linear API client for notification actions
-        this.linearClient = this.pollingService.linearClient;
+        // Polling can be paused from scripts through the D-Bus service
+        this.paused = false;
+        this.dbusService = new LinearDBusService(this);
+
+        // Add top bar indicator with unread count and inbox menu
+        this.indicator = new LinearIndicator(this);
+        Main.panel.addToStatusArea(this.uuid, this.indicator);
 
         // Watch for OAuth flow trigger from preferences
         this.oauthFlowConnection = this.settings.connect('changed::start-oauth-flow', () => {
             const shouldStart = this.settings.get_boolean('start-oauth-flow');
             if (shouldStart) {
-                this.startOAuthFlow();
+                this.startOAuthFlow(this.settings.get_string('oauth-account-id'));
             }
         });
 
-        // Watch for OAuth success to restart polling
-        this.oauthSuccessConnection = this.settings.connect('changed::oauth-token', () => {
-            if (this.oauthHandler.isAuthenticated()) {
-                this.logger.info('OAuth authentication completed, restarting polling...');
-                this.pollingService.restart();
-            }
+        // Watch for credential changes (OAuth login, API token edits, logout)
+        this.credentialsConnection = this.credentialStore.connectChanged(() => {
+            this.syncPollingServices();
         });
 
-        // Watch for API token changes to restart polling
-        this.apiTokenConnection = this.settings.connect('changed::api-token', () => {
-            this.logger.info('API token changed, checking authentication...');
-            if (this.pollingService.linearClient.isAuthenticated()) {
-                this.logger.info('API token authentication successful, restarting polling...');
-                this.pollingService.restart();
-            } else {
-                this.logger.warn('API token authentication failed, stopping polling...');
-                this.pollingService.stop();
-            }
+        // Watch for accounts being added, removed, enabled or disabled
+        this.accountsConnection = this.settings.connect('changed::accounts', () => {
+            this.syncPollingServices();
         });
 
-        // Watch for auth method changes
-        this.authMethodConnection = this.settings.connect('changed::auth-method', () => {
-            const authMethod = this.settings.get_string('auth-method');
-            this.logger.info('Authentication method changed to:', authMethod);
-            this.pollingService.restart();
+        this.logger.info('Starting Linear Desktop Notifications extension...');
+
+        Promise.all([
+            this.credentialStore.load(),
+            this.notificationStore.load()
+        ]).then(([loaded]) => {
+            // Extension may have been disabled while the keyring was being read
+            if (!this.pollingServices) {
+                return;
+            }
+
+            this.notificationManager.restoreHeldNotifications();
+
+            if (!loaded) {
+                this.logger.warn('Could not read credentials from the keyring - polling disabled');
+                Main.notifyError('Linear Notifications',
+                    'Could not read your Linear credentials from the keyring. Unlock it and re-enable the extension.');
+                return;
+            }
+
+            this.syncPollingServices();
+        }).catch(error => {
+            this.logger.error('Failed to start polling:', error);
         });
 
-        // Start polling service with enhanced debug logging
-        this.logger.info('Starting Linear Desktop Notifications extension...');
-        const authMethod = this.settings.get_string('auth-method');
-        this.logger.info('Authentication method:', authMethod);
+        this.logger.info('Linear Desktop Notifications extension enabled');
+    }
 
-        if (this.pollingService.linearClient.isAuthenticated()) {
-            this.logger.info('Authentication successful - starting polling service');
-        } else {
-            this.logger.warn('Not authenticated - polling service may not work');
+    /**
+     * Create, start or stop polling services to match the configured accounts
+     */
+    syncPollingServices() {
+        // Keyring reloads finish asynchronously and may outlive the extension
+        if (!this.pollingServices || !this.credentialStore.loaded || !this.notificationStore.loaded) {
+            return;
         }
 
-        this.pollingService.start();
+        const accounts = loadAccounts(this.settings).filter(account => account.enabled);
+        const accountIds = new Set(accounts.map(account => account.id));
 
-        this.logger.info('Linear Desktop Notifications extension enabled');
+        // Drop services of removed or disabled accounts
+        for (const [accountId, pollingService] of this.pollingServices) {
+            if (!accountIds.has(accountId)) {
+                this.logger.info(`Account ${accountId} removed or disabled, stopping polling`);
+                pollingService.destroy();
+                this.pollingServices.delete(accountId);
+            }
+        }
+
+        for (const account of accounts) {
+            let pollingService = this.pollingServices.get(account.id);
+
+            if (!pollingService) {
+                pollingService = new LinearPollingService(this, this.notificationManager, account.id);
+                pollingService.connect('poll-completed', () => {
+                    this.indicator?.updateInbox(pollingService);
+                    this.dbusService?.emitPollCompleted(account.id);
+                });
+                this.pollingServices.set(account.id, pollingService);
+            }
+
+            if (pollingService.linearClient.isAuthenticated()) {
+                // Ignore background token refreshes while polling is already running
+                if (!pollingService.isPolling && !this.paused) {
+                    this.logger.info(`Starting polling for account ${account.name}`);
+                    pollingService.start();
+                }
+            } else if (pollingService.isPolling) {
+                this.logger.warn(`No valid credentials for account ${account.name}, stopping polling`);
+                pollingService.stop();
+            }
+        }
+
+        this.indicator?.refresh();
     }
 
-    async startOAuthFlow() {
+    /**
+     * Pause or resume polling of all accounts
+     */
+    setPaused(paused) {
+        if (this.paused === paused) {
+            return;
+        }
+
+        this.paused = paused;
+        this.logger.info(paused ? 'Polling paused' : 'Polling resumed');
+
+        if (paused) {
+            for (const pollingService of this.pollingServices.values()) {
+                pollingService.stop();
+            }
+        } else {
+            this.syncPollingServices();
+        }
+    }
+
+    /**
+     * Get the Linear API client of an account (for notification actions)
+     */
+    getLinearClient(accountId) {
+        return this.pollingServices?.get(accountId)?.linearClient ?? null;
+    }
+
+    async startOAuthFlow(accountId) {
         try {
-            this.logger.info('Starting OAuth flow from extension...');
-            await this.oauthHandler.startAuthFlow();
+            this.logger.info(`Starting OAuth flow for account ${accountId}...`);
+            await this.oauthHandler.startAuthFlow(accountId);
+            Main.notify('Linear Notifications', 'Connected to Linear');
         } catch (error) {
             this.logger.error('OAuth flow failed:', error);
             Main.notifyError('Linear Authentication Failed', error.message);
@@ -89,31 +180,38 @@ export default class LinearNotificationsExtension extends Extension.Extension {
             this.oauthFlowConnection = null;
         }
 
-        if (this.oauthSuccessConnection) {
-            this.settings.disconnect(this.oauthSuccessConnection);
-            this.oauthSuccessConnection = null;
-        }
-
-        if (this.apiTokenConnection) {
-            this.settings.disconnect(this.apiTokenConnection);
-            this.apiTokenConnection = null;
+        if (this.credentialsConnection) {
+            this.credentialStore.disconnectChanged(this.credentialsConnection);
+            this.credentialsConnection = null;
         }
 
-        if (this.authMethodConnection) {
-            this.settings.disconnect(this.authMethodConnection);
-            this.authMethodConnection = null;
+        if (this.accountsConnection) {
+            this.settings.disconnect(this.accountsConnection);
+            this.accountsConnection = null;
         }
 
         // Cleanup components
-        this.pollingService?.stop();
-        this.pollingService = null;
+        this.dbusService?.destroy();
+        this.dbusService = null;
+
+        this.indicator?.destroy();
+        this.indicator = null;
+
+        for (const pollingService of this.pollingServices?.values() ?? []) {
+            pollingService.destroy();
+        }
+        this.pollingServices = null;
 
         this.notificationManager?.destroy();
         this.notificationManager = null;
 
+        this.notificationStore?.destroy();
+        this.notificationStore = null;
+
         this.oauthHandler?.destroy();
         this.oauthHandler = null;
 
+        this.credentialStore = null;
         this.settings = null;
 
         this.logger.info('Linear Desktop Notifications extension disabled');
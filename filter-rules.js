@@ -0,0 +1,111 @@
+import GLib from 'gi://GLib';
+
+/**
+ * Notification filter rules
+ *
+ * Rules are stored as an ordered JSON array in the `filter-rules` settings
+ * key. The first enabled rule whose conditions all match a notification
+ * decides what happens to it; notifications no rule matches fall back to
+ * the notification type settings.
+ */
+
+export const RULE_ACTIONS = ['show', 'hide', 'mark-read', 'force-urgent'];
+
+/**
+ * Conditions a rule can match on; empty conditions match everything
+ */
+export const RULE_CONDITIONS = ['team', 'project', 'label', 'priority', 'actor', 'type', 'title', 'subtitle'];
+
+export function createRule(name) {
+    return {
+        id: GLib.uuid_string_random(),
+        name,
+        enabled: true,
+        conditions: {},
+        action: 'hide'
+    };
+}
+
+export function loadRules(settings) {
+    try {
+        const rules = JSON.parse(settings.get_string('filter-rules'));
+        return Array.isArray(rules) ? rules : [];
+    } catch (error) {
+        console.error('Failed to parse Linear filter rules:', error);
+        return [];
+    }
+}
+
+export function saveRules(settings, rules) {
+    settings.set_string('filter-rules', JSON.stringify(rules));
+}
+
+/**
+ * Find the first enabled rule matching a notification
+ * @returns {Object|null} - the matching rule, or null
+ */
+export function findMatchingRule(rules, notification) {
+    return rules.find(rule => rule.enabled && matchesRule(rule, notification)) || null;
+}
+
+/**
+ * Check whether all conditions of a rule match a notification
+ */
+export function matchesRule(rule, notification) {
+    const conditions = rule.conditions || {};
+    const data = notification.data || {};
+    const issue = data.issue || {};
+
+    return Object.entries(conditions).every(([condition, value]) => {
+        if (value === '' || value === null || value === undefined) {
+            return true;
+        }
+
+        switch (condition) {
+            case 'team':
+                return equalsAny(value, [issue.team?.key, issue.team?.name]);
+            case 'project':
+                return equalsAny(value, [issue.project?.name]);
+            case 'label':
+                return equalsAny(value, (issue.labels?.nodes || []).map(label => label.name));
+            case 'priority':
+                return issue.priority === value;
+            case 'actor':
+                return equalsAny(value, [data.actor?.displayName, data.actor?.name]);
+            case 'type':
+                return equalsAny(value, [data.notificationType]);
+            case 'title':
+                return matchesPattern(value, data.title ?? notification.title);
+            case 'subtitle':
+                return matchesPattern(value, data.subtitle);
+            default:
+                // Unknown conditions never match so a newer rule format fails closed
+                return false;
+        }
+    });
+}
+
+/**
+ * Check whether a pattern is a valid regular expression
+ */
+export function isValidPattern(pattern) {
+    try {
+        new RegExp(pattern);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function equalsAny(value, candidates) {
+    const expected = String(value).toLowerCase();
+    return candidates.some(candidate => candidate && String(candidate).toLowerCase() === expected);
+}
+
+function matchesPattern(pattern, text) {
+    if (!isValidPattern(pattern)) {
+        return false;
+    }
+
+    return new RegExp(pattern, 'i').test(text ?? '');
+}
\ No newline at end of file
@@ -0,0 +1,321 @@
+import Clutter from 'gi://Clutter';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import GObject from 'gi://GObject';
+import St from 'gi://St';
+
+import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+
+import { getAccountDisplayName } from './accounts.js';
+import { LINEAR_INBOX_URL } from './linear-client.js';
+import { Logger } from './logger.js';
+
+const INBOX_FETCH_COUNT = 50;
+const MAX_MENU_ITEMS = 10;
+
+/**
+ * Format a timestamp as a compact age string (e.g. "5m", "3h", "2d")
+ */
+function formatAge(timestamp) {
+    const seconds = Math.max(0, Math.floor((Date.now() - new Date(timestamp).getTime()) / 1000));
+
+    if (seconds < 60) {
+        return 'now';
+    } else if (seconds < 3600) {
+        return `${Math.floor(seconds / 60)}m`;
+    } else if (seconds < 86400) {
+        return `${Math.floor(seconds / 3600)}h`;
+    }
+
+    return `${Math.floor(seconds / 86400)}d`;
+}
+
+/**
+ * Top bar indicator showing the unread Linear inbox count and the latest inbox
+ * items across all active accounts
+ */
+export const LinearIndicator = GObject.registerClass(
+class LinearIndicator extends PanelMenu.Button {
+    constructor(extension) {
+        super(0.0, 'Linear Notifications');
+
+        this.extension = extension;
+        this.notificationManager = extension.notificationManager;
+        this.logger = new Logger('Indicator');
+        this.unreadCount = 0;
+        this.refreshSerial = 0;
+
+        // Unread items and whether there are more, per account ID
+        this.inboxes = new Map();
+
+        const box = new St.BoxLayout({ style_class: 'panel-status-menu-box' });
+
+        const logoFile = Gio.File.new_for_path(GLib.build_filenamev([extension.path, 'logo-light.svg']));
+        box.add_child(new St.Icon({
+            gicon: Gio.FileIcon.new(logoFile),
+            style_class: 'system-status-icon',
+        }));
+
+        this.badgeLabel = new St.Label({
+            text: '',
+            y_align: Clutter.ActorAlign.CENTER,
+            visible: false,
+        });
+        box.add_child(this.badgeLabel);
+
+        this.add_child(box);
+
+        this.buildMenu();
+
+        // The extension updates the indicator after every poll; also refresh when opened
+        this.menu.connect('open-state-changed', (menu, isOpen) => {
+            if (isOpen) {
+                this.refresh();
+            }
+        });
+
+        this.refresh();
+    }
+
+    buildMenu() {
+        this.itemsSection = new PopupMenu.PopupMenuSection();
+        this.menu.addMenuItem(this.itemsSection);
+
+        this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+
+        this.menu.addAction('Open Linear Inbox', () => {
+            this.notificationManager.handleNotificationClick(LINEAR_INBOX_URL);
+        });
+
+        this.menu.addAction('Refresh', () => {
+            for (const pollingService of this.extension.pollingServices.values()) {
+                pollingService.forcePoll();
+            }
+        });
+    }
+
+    getPollingServices() {
+        return [...(this.extension.pollingServices?.values() ?? [])]
+            .filter(pollingService => pollingService.linearClient.isAuthenticated());
+    }
+
+    /**
+     * Fetch the latest inbox items of every account and rebuild the badge and menu
+     */
+    async refresh() {
+        const serial = ++this.refreshSerial;
+        const pollingServices = this.getPollingServices();
+
+        if (pollingServices.length === 0) {
+            this.render();
+            return;
+        }
+
+        try {
+            const inboxes = await Promise.all(pollingServices.map(pollingService =>
+                this.fetchUnread(pollingService)));
+
+            // A newer refresh started while this one was waiting
+            if (serial !== this.refreshSerial) {
+                return;
+            }
+
+            pollingServices.forEach((pollingService, index) =>
+                this.inboxes.set(pollingService.accountId, inboxes[index]));
+            this.render();
+        } catch (error) {
+            this.logger.error('Failed to refresh inbox:', error.message);
+            this.showMessage('Failed to load Linear inbox');
+        }
+    }
+
+    /**
+     * Fetch the latest inbox items of one account, after it was polled
+     */
+    async updateInbox(pollingService) {
+        try {
+            const inbox = await this.fetchUnread(pollingService);
+            this.inboxes.set(pollingService.accountId, inbox);
+            this.render();
+        } catch (error) {
+            this.logger.error('Failed to update inbox:', error.message);
+        }
+    }
+
+    /**
+     * Rebuild the badge and menu from the inboxes of the connected accounts
+     */
+    render() {
+        const pollingServices = this.getPollingServices();
+
+        if (pollingServices.length === 0) {
+            this.setUnreadCount(0);
+            this.showMessage('Not connected to Linear');
+            return;
+        }
+
+        const inboxes = pollingServices
+            .map(pollingService => this.inboxes.get(pollingService.accountId))
+            .filter(Boolean);
+
+        const unread = inboxes.flatMap(inbox => inbox.items)
+            .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
+
+        this.setUnreadCount(unread.length, inboxes.some(inbox => inbox.hasMore));
+        this.populateItems(unread.slice(0, MAX_MENU_ITEMS), pollingServices.length > 1);
+    }
+
+    async fetchUnread(pollingService) {
+        const notifications = await pollingService.linearClient.getNotifications(INBOX_FETCH_COUNT);
+        return this.createInbox(pollingService, notifications.nodes, notifications.pageInfo?.hasNextPage);
+    }
+
+    createInbox(pollingService, notifications, hasNextPage) {
+        const workspaceName = getAccountDisplayName(pollingService.account);
+
+        const items = notifications
+            .filter(notification => this.isUnread(notification))
+            .map(notification => ({ ...notification, accountId: pollingService.accountId, workspaceName }));
+
+        return { items, hasMore: Boolean(hasNextPage) };
+    }
+
+    isUnread(notification) {
+        if (notification.readAt || notification.archivedAt) {
+            return false;
+        }
+
+        return !notification.snoozedUntilAt || new Date(notification.snoozedUntilAt) <= new Date();
+    }
+
+    setUnreadCount(count, hasMore = false) {
+        this.unreadCount = count;
+        this.badgeLabel.text = hasMore ? `${count}+` : `${count}`;
+        this.badgeLabel.visible = count > 0;
+    }
+
+    showMessage(text) {
+        this.itemsSection.removeAll();
+
+        const item = new PopupMenu.PopupMenuItem(text, { reactive: false });
+        this.itemsSection.addMenuItem(item);
+    }
+
+    populateItems(notifications, showWorkspace = false) {
+        if (notifications.length === 0) {
+            this.showMessage('Inbox zero');
+            return;
+        }
+
+        this.itemsSection.removeAll();
+
+        for (const notification of notifications) {
+            this.itemsSection.addMenuItem(this.createItem(notification, showWorkspace));
+        }
+    }
+
+    /**
+     * Build a menu row with avatar, identifier, title, age and per-item actions
+     */
+    createItem(notification, showWorkspace) {
+        const item = new PopupMenu.PopupBaseMenuItem();
+
+        const avatar = new St.Icon({
+            icon_size: 24,
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+        const actorIcon = this.notificationManager.getActorIcon(notification.actor);
+        if (actorIcon) {
+            avatar.gicon = actorIcon;
+        } else {
+            avatar.icon_name = 'avatar-default-symbolic';
+        }
+        item.add_child(avatar);
+
+        const textBox = new St.BoxLayout({
+            vertical: true,
+            x_expand: true,
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+
+        const identifier = notification.issue?.identifier;
+        const title = notification.title || 'Linear Notification';
+        textBox.add_child(new St.Label({
+            text: identifier ? `${identifier} ${title}` : title,
+        }));
+
+        const details = [
+            showWorkspace ? notification.workspaceName : null,
+            notification.actor?.displayName,
+            formatAge(notification.createdAt)
+        ]
+            .filter(Boolean)
+            .join(' · ');
+        textBox.add_child(new St.Label({
+            text: details,
+            style_class: 'popup-inactive-menu-item',
+        }));
+
+        item.add_child(textBox);
+
+        const shownNotification = this.toNotification(notification);
+
+        item.add_child(this.createItemButton('web-browser-symbolic', 'Open', () => {
+            this.notificationManager.handleNotificationClick(notification.url, shownNotification);
+        }));
+
+        if (shownNotification && this.notificationManager.hasIssueActions(shownNotification)) {
+            item.add_child(this.createItemButton('document-edit-symbolic', 'Issue Actions', () => {
+                this.notificationManager.openIssueActionsDialog(shownNotification, [notification.id]);
+            }));
+        }
+
+        item.add_child(this.createItemButton('object-select-symbolic', 'Mark Read', async () => {
+            await this.notificationManager.markNotificationsAsRead([notification.id], notification.accountId);
+            this.refresh();
+        }));
+
+        if (shownNotification) {
+            item.add_child(this.createItemButton('alarm-symbolic', 'Snooze…', () => {
+                this.notificationManager.openSnoozeDialog(shownNotification, [notification.id], () => this.refresh());
+            }));
+        }
+
+        item.connect('activate', () => {
+            this.notificationManager.handleNotificationClick(notification.url, shownNotification);
+        });
+
+        return item;
+    }
+
+    /**
+     * Shape an inbox item like a shown notification, for the custom command's
+     * placeholders and the issue actions dialog
+     */
+    toNotification(notification) {
+        const pollingService = this.extension.pollingServices?.get(notification.accountId);
+        if (!pollingService) {
+            return null;
+        }
+
+        return pollingService.convertUpdateToNotification(pollingService.linearClient.convertNotification(notification));
+    }
+
+    createItemButton(iconName, accessibleName, callback) {
+        const button = new St.Button({
+            child: new St.Icon({ icon_name: iconName, icon_size: 16 }),
+            style_class: 'button',
+            accessible_name: accessibleName,
+            can_focus: true,
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+
+        button.connect('clicked', () => {
+            this.menu.close();
+            callback();
+        });
+
+        return button;
+    }
+});
\ No newline at end of file
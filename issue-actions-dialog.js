@@ -0,0 +1,115 @@
+import Clutter from 'gi://Clutter';
+import GObject from 'gi://GObject';
+import St from 'gi://St';
+
+import * as Dialog from 'resource:///org/gnome/shell/ui/dialog.js';
+import * as ModalDialog from 'resource:///org/gnome/shell/ui/modalDialog.js';
+
+import { PRIORITY_LEVELS } from './urgency.js';
+
+/**
+ * Shell modal dialog with quick actions for the issue of a notification:
+ * moving it to another workflow state, assigning it to yourself and
+ * changing its priority
+ *
+ * `onUpdate` receives `{ stateId }`, `{ priority }` or `{ assignToMe: true }`
+ * and returns a promise; the dialog stays open and shows the error if it
+ * rejects.
+ */
+export const LinearIssueActionsDialog = GObject.registerClass(
+class LinearIssueActionsDialog extends ModalDialog.ModalDialog {
+    constructor({ title, description, issue, states, onUpdate, onArchive }) {
+        super({ styleClass: 'prompt-dialog' });
+
+        this.onUpdate = onUpdate;
+        this.updating = false;
+        this.actionButtons = [];
+
+        const content = new Dialog.MessageDialogContent({ title, description });
+        this.contentLayout.add_child(content);
+
+        this.addSection('Status', states.map(state => ({
+            label: state.name,
+            checked: state.id === issue.state?.id,
+            change: { stateId: state.id }
+        })));
+
+        this.addSection('Priority', PRIORITY_LEVELS.map(priority => ({
+            label: priority.title,
+            checked: priority.value === issue.priority,
+            change: { priority: priority.value }
+        })));
+
+        this.addSection('Assignee', [{ label: 'Assign to me', checked: false, change: { assignToMe: true } }]);
+
+        this.errorLabel = new St.Label({
+            style_class: 'prompt-dialog-error-label',
+            visible: false,
+        });
+        this.errorLabel.clutter_text.line_wrap = true;
+        this.contentLayout.add_child(this.errorLabel);
+
+        this.addButton({
+            label: 'Archive',
+            action: () => {
+                this.close();
+                onArchive();
+            },
+        });
+
+        this.addButton({
+            label: 'Close',
+            action: () => this.close(),
+            key: Clutter.KEY_Escape,
+            default: true,
+        });
+    }
+
+    /**
+     * Add a titled row of buttons that each apply one change
+     */
+    addSection(title, actions) {
+        this.contentLayout.add_child(new St.Label({ text: title, style: 'font-weight: bold;' }));
+
+        const buttonBox = new St.Widget({
+            layout_manager: new Clutter.FlowLayout({ column_spacing: 6, row_spacing: 6 }),
+            x_expand: true,
+        });
+
+        for (const action of actions) {
+            const button = new St.Button({
+                label: action.label,
+                style_class: 'button',
+                can_focus: true,
+                checked: action.checked,
+            });
+            button.connect('clicked', () => this.applyChange(action.change));
+
+            buttonBox.add_child(button);
+            this.actionButtons.push(button);
+        }
+
+        this.contentLayout.add_child(buttonBox);
+    }
+
+    async applyChange(change) {
+        if (this.updating) {
+            return;
+        }
+
+        this.updating = true;
+        this.actionButtons.forEach(button => (button.reactive = false));
+        this.errorLabel.visible = false;
+
+        try {
+            await this.onUpdate(change);
+            this.close();
+        } catch (error) {
+            this.errorLabel.text = `Could not update issue: ${error.message}`;
+            this.errorLabel.visible = true;
+            this.actionButtons.forEach(button => (button.reactive = true));
+        }
+
+        this.updating = false;
+    }
+});
\ No newline at end of file
@@ -1,27 +1,121 @@
 import GLib from 'gi://GLib';
 import Soup from 'gi://Soup';
+import { getAccount } from './accounts.js';
 import { Logger } from './logger.js';
+import { markdownToPlainText } from './markdown.js';
+import { getNotificationType } from './notification-types.js';
+
+export const LINEAR_INBOX_URL = 'https://linear.app/inbox';
+
+// Refresh OAuth access tokens this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Number of notifications requested per page when following the inbox cursor
+const NOTIFICATIONS_PAGE_SIZE = 50;
+
+// Re-fetch notifications this much older than the checkpoint, in case they show up late
+const CHECKPOINT_OVERLAP_MS = 5 * 60 * 1000;
+
+// Notification fields shared by the inbox queries
+const NOTIFICATION_FRAGMENT = `
+    fragment NotificationFields on Notification {
+        id
+        type
+        createdAt
+        readAt
+        snoozedUntilAt
+        archivedAt
+        title
+        subtitle
+        url
+        issueStatusType
+        actor {
+            displayName
+            avatarUrl
+            avatarBackgroundColor
+            initials
+        }
+        ... on IssueNotification {
+            comment {
+                id
+                body
+                parent {
+                    id
+                }
+            }
+            issue {
+                id
+                identifier
+                branchName
+                priority
+                priorityLabel
+                state {
+                    id
+                    name
+                }
+                team {
+                    id
+                    key
+                    name
+                }
+                project {
+                    name
+                }
+                labels {
+                    nodes {
+                        name
+                    }
+                }
+            }
+        }
+    }
+`;
+
+// Length of the comment excerpt in notification bodies
+const COMMENT_EXCERPT_LENGTH = 200;
+
+// How long a team's workflow states are reused before being fetched again
+const WORKFLOW_STATES_CACHE_MS = 60 * 60 * 1000;
 
 export class LinearAPIClient {
-    constructor(extension) {
+    constructor(extension, accountId) {
         this.extension = extension;
+        this.accountId = accountId;
         this.settings = extension.getSettings();
+        this.credentials = extension.credentialStore;
         this.httpSession = new Soup.Session();
         this.apiUrl = 'https://api.linear.app/graphql';
         this.logger = new Logger('LinearAPI');
 
+        // Single in-flight token refresh shared by concurrent requests
+        this.refreshPromise = null;
+
+        // Quota reported by the latest response's rate-limit headers
+        this.rateLimit = null;
+
+        // Workflow states per team ID, with the time they were fetched
+        this.workflowStates = new Map();
+        this.viewerId = null;
+
         this.logger.debug('Initialized');
     }
 
+    /**
+     * Current configuration of the account this client belongs to
+     */
+    get account() {
+        return getAccount(this.settings, this.accountId) || {};
+    }
+
     isAuthenticated() {
-        const authMethod = this.settings.get_string('auth-method');
+        const account = this.account;
 
-        if (authMethod === 'token') {
-            const apiToken = this.settings.get_string('api-token');
+        if (account.authMethod === 'token') {
+            const apiToken = this.credentials.get(this.accountId, 'api-token');
             return apiToken && apiToken.length > 0;
         } else {
-            const token = this.settings.get_string('oauth-token');
-            const expiresAt = this.settings.get_string('token-expires-at');
+            const token = this.credentials.get(this.accountId, 'oauth-token');
+            const expiresAt = account.tokenExpiresAt;
 
             if (!token || !expiresAt) {
                 return false;
@@ -32,6 +126,11 @@ export class LinearAPIClient {
             const expires = new Date(expiresAt).getTime();
 
             if (now >= expires) {
+                // An expired access token is fine as long as it can be refreshed
+                if (this.canRefreshToken()) {
+                    return true;
+                }
+
                 this.logger.debug('OAuth token expired');
                 return false;
             }
@@ -40,21 +139,75 @@ export class LinearAPIClient {
         }
     }
 
+    canRefreshToken() {
+        return this.account.authMethod === 'oauth' &&
+               this.credentials.get(this.accountId, 'refresh-token').length > 0 &&
+               !!this.extension.oauthHandler;
+    }
+
+    /**
+     * Check whether the OAuth access token expires within the refresh margin
+     */
+    shouldRefreshToken() {
+        if (!this.canRefreshToken()) {
+            return false;
+        }
+
+        const expiresAt = this.account.tokenExpiresAt;
+        const expires = new Date(expiresAt).getTime();
+
+        return !expiresAt || Date.now() >= expires - TOKEN_REFRESH_MARGIN_MS;
+    }
+
+    /**
+     * Refresh the OAuth access token, sharing a single in-flight refresh
+     * between concurrent callers
+     */
+    refreshAccessToken() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.performTokenRefresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+
+        return this.refreshPromise;
+    }
+
+    async performTokenRefresh() {
+        const oauthHandler = this.extension.oauthHandler;
+
+        try {
+            this.logger.info('Refreshing OAuth access token');
+            await oauthHandler.refreshToken(this.accountId);
+        } catch (error) {
+            if (error.tokenRejected) {
+                this.logger.warn('Refresh token rejected, reconnect required');
+                await oauthHandler.markReconnectRequired(this.accountId);
+                throw new Error('Authentication expired - please reconnect to Linear');
+            }
+
+            this.logger.error('Token refresh failed:', error.message);
+            throw error;
+        }
+    }
+
     getToken() {
         if (!this.isAuthenticated()) {
             return null;
         }
 
-        const authMethod = this.settings.get_string('auth-method');
-        if (authMethod === 'token') {
-            return this.settings.get_string('api-token');
+        if (this.account.authMethod === 'token') {
+            return this.credentials.get(this.accountId, 'api-token');
         } else {
-            return this.settings.get_string('oauth-token');
+            return this.credentials.get(this.accountId, 'oauth-token');
         }
     }
 
     /**
      * Make a GraphQL request to Linear API
+     * Refreshes the OAuth token when it is about to expire, and retries once
+     * after a refresh if the API responds with 401. Errors Linear reports for
+     * the query are thrown with their `graphQLErrors` array attached.
      * @param {string} query - GraphQL query string
      * @param {Object} variables - GraphQL variables
      * @returns {Promise<Object>} - API response data
@@ -64,6 +217,42 @@ export class LinearAPIClient {
             throw new Error('Not authenticated - please configure OAuth or API token first');
         }
 
+        if (this.shouldRefreshToken()) {
+            await this.refreshAccessToken();
+        }
+
+        let response = await this.sendRequest(query, variables);
+
+        if (response.status === Soup.Status.UNAUTHORIZED && this.canRefreshToken()) {
+            this.logger.info('API returned 401, refreshing access token and retrying');
+            await this.refreshAccessToken();
+            response = await this.sendRequest(query, variables);
+        }
+
+        if (response.status === Soup.Status.TOO_MANY_REQUESTS || this.isRateLimitedResponse(response.text)) {
+            throw this.createRateLimitError();
+        }
+
+        if (response.status !== Soup.Status.OK) {
+            throw new Error(`HTTP ${response.status}: ${response.text}`);
+        }
+
+        const result = JSON.parse(response.text);
+
+        if (result.errors) {
+            const error = new Error(`GraphQL errors: ${JSON.stringify(result.errors)}`);
+            error.graphQLErrors = result.errors;
+            throw error;
+        }
+
+        return result.data;
+    }
+
+    /**
+     * Send a single GraphQL request with the current token
+     * @returns {Promise<{status: number, text: string}>} - HTTP status and raw response body
+     */
+    sendRequest(query, variables) {
         const token = this.getToken();
         const payload = {
             query: query,
@@ -73,8 +262,7 @@ export class LinearAPIClient {
         const message = Soup.Message.new('POST', this.apiUrl);
 
         // Set headers - OAuth tokens use Bearer prefix, API tokens don't
-        const authMethod = this.settings.get_string('auth-method');
-        if (authMethod === 'token') {
+        if (this.account.authMethod === 'token') {
             // API tokens don't use Bearer prefix
             message.request_headers.append('Authorization', token);
         } else {
@@ -103,19 +291,12 @@ export class LinearAPIClient {
 
                         this.logger.debug(`API response status: ${message.get_status()}`);
 
-                        if (message.get_status() !== Soup.Status.OK) {
-                            reject(new Error(`HTTP ${message.get_status()}: ${responseText}`));
-                            return;
+                        const rateLimit = this.parseRateLimit(message.get_response_headers());
+                        if (rateLimit) {
+                            this.rateLimit = rateLimit;
                         }
 
-                        const response = JSON.parse(responseText);
-
-                        if (response.errors) {
-                            reject(new Error(`GraphQL errors: ${JSON.stringify(response.errors)}`));
-                            return;
-                        }
-
-                        resolve(response.data);
+                        resolve({ status: message.get_status(), text: responseText });
                     } catch (error) {
                         reject(error);
                     }
@@ -124,6 +305,71 @@ export class LinearAPIClient {
         });
     }
 
+    /**
+     * Read Linear's request and complexity quotas from the response headers
+     * @returns {Object|null} - null if the response carried no rate-limit headers
+     */
+    parseRateLimit(headers) {
+        const parseQuota = name => {
+            const limit = headers.get_one(`X-RateLimit-${name}-Limit`);
+            const remaining = headers.get_one(`X-RateLimit-${name}-Remaining`);
+
+            if (limit === null || remaining === null) {
+                return null;
+            }
+
+            // Reset times are UTC epoch milliseconds
+            const reset = headers.get_one(`X-RateLimit-${name}-Reset`);
+
+            return {
+                limit: Number(limit),
+                remaining: Number(remaining),
+                resetAt: reset ? Number(reset) : null
+            };
+        };
+
+        const requests = parseQuota('Requests');
+        const complexity = parseQuota('Complexity');
+
+        if (!requests && !complexity) {
+            return null;
+        }
+
+        return {
+            requests,
+            complexity,
+            cost: Number(headers.get_one('X-Complexity')) || null,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Check a response body for Linear's RATELIMITED GraphQL error
+     */
+    isRateLimitedResponse(text) {
+        try {
+            const result = JSON.parse(text);
+            return result.errors?.some(error => error.extensions?.code === 'RATELIMITED') ?? false;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Create the error thrown when Linear rejects a request for exceeding a quota
+     * Sets `rateLimited` and `retryAt` (epoch milliseconds, or null if unknown).
+     */
+    createRateLimitError() {
+        const quotas = [this.rateLimit?.requests, this.rateLimit?.complexity].filter(quota => quota?.resetAt);
+        const exhausted = quotas.filter(quota => quota.remaining <= 0);
+        const resetTimes = (exhausted.length > 0 ? exhausted : quotas).map(quota => quota.resetAt);
+
+        const error = new Error('Rate limited by Linear API');
+        error.rateLimited = true;
+        error.retryAt = resetTimes.length > 0 ? Math.max(...resetTimes) : null;
+        return error;
+    }
+
     /**
      * Get current user information
      */
@@ -264,33 +510,17 @@ export class LinearAPIClient {
     }
 
     /**
-     * Get notifications from Linear
+     * Get notifications from Linear, newest first
+     * @param {number} first - Number of notifications to fetch
+     * @param {string|null} after - Cursor of the previous page
+     * @param {boolean} includeArchived - Also return archived notifications
      */
-    async getNotifications(first = 20) {
+    async getNotifications(first = 20, after = null, includeArchived = false) {
         const query = `
-            query GetNotifications($first: Int!) {
-                notifications(first: $first, orderBy: createdAt) {
+            query GetNotifications($first: Int!, $after: String, $includeArchived: Boolean) {
+                notifications(first: $first, after: $after, includeArchived: $includeArchived, orderBy: createdAt) {
                     nodes {
-                        id
-                        type
-                        createdAt
-                        readAt
-                        snoozedUntilAt
-                        title
-                        subtitle
-                        url
-                        issueStatusType
-                        actor {
-                            displayName
-                            avatarUrl
-                            avatarBackgroundColor
-                            initials
-                        }
-                        ... on IssueNotification {
-                            issue {
-                                identifier
-                            }
-                        }
+                        ...NotificationFields
                     }
                     pageInfo {
                         hasNextPage
@@ -298,13 +528,32 @@ export class LinearAPIClient {
                     }
                 }
             }
+            ${NOTIFICATION_FRAGMENT}
         `;
 
-        const variables = { first };
+        const variables = { first, after, includeArchived };
         const data = await this.makeRequest(query, variables);
         return data.notifications;
     }
 
+    /**
+     * Get a single notification, e.g. to check its state before showing it again
+     * @returns {Promise<Object|null>} - null if the notification no longer exists
+     */
+    async getNotification(notificationId) {
+        const query = `
+            query GetNotification($id: String!) {
+                notification(id: $id) {
+                    ...NotificationFields
+                }
+            }
+            ${NOTIFICATION_FRAGMENT}
+        `;
+
+        const data = await this.makeRequest(query, { id: notificationId });
+        return data.notification || null;
+    }
+
     /**
      * Mark notification as read (Linear's equivalent of the checkmark)
      */
@@ -374,6 +623,120 @@ export class LinearAPIClient {
         return data.notificationUpdate;
     }
 
+    /**
+     * Post a comment on an issue
+     * @param {string} issueId - Issue to comment on
+     * @param {string} body - Markdown comment body
+     * @param {string|null} parentId - Comment to reply to, for threaded replies
+     */
+    async createComment(issueId, body, parentId = null) {
+        const query = `
+            mutation CreateComment($input: CommentCreateInput!) {
+                commentCreate(input: $input) {
+                    success
+                    comment {
+                        id
+                        url
+                    }
+                }
+            }
+        `;
+
+        const input = { issueId, body };
+        if (parentId) {
+            input.parentId = parentId;
+        }
+
+        const data = await this.makeRequest(query, { input });
+
+        if (!data.commentCreate?.success) {
+            throw new Error('Linear did not create the comment');
+        }
+
+        return data.commentCreate.comment;
+    }
+
+    /**
+     * ID of the user this client is authenticated as
+     */
+    async getViewerId() {
+        if (!this.viewerId) {
+            const viewer = await this.getCurrentUser();
+            this.viewerId = viewer.id;
+        }
+
+        return this.viewerId;
+    }
+
+    /**
+     * Get a team's workflow states in board order, cached per team
+     * @param {string} teamId - Team to get the states of
+     */
+    async getWorkflowStates(teamId) {
+        const cached = this.workflowStates.get(teamId);
+        if (cached && Date.now() - cached.fetchedAt < WORKFLOW_STATES_CACHE_MS) {
+            return cached.states;
+        }
+
+        const query = `
+            query GetWorkflowStates($teamId: String!) {
+                team(id: $teamId) {
+                    states {
+                        nodes {
+                            id
+                            name
+                            type
+                            position
+                        }
+                    }
+                }
+            }
+        `;
+
+        const data = await this.makeRequest(query, { teamId });
+        const states = [...data.team.states.nodes].sort((a, b) => a.position - b.position);
+
+        this.workflowStates.set(teamId, { states, fetchedAt: Date.now() });
+        return states;
+    }
+
+    /**
+     * Update an issue's state, assignee or priority
+     * @param {string} issueId - Issue to update
+     * @param {Object} input - IssueUpdateInput fields, e.g. stateId, assigneeId or priority
+     */
+    async updateIssue(issueId, input) {
+        const query = `
+            mutation UpdateIssue($id: String!, $input: IssueUpdateInput!) {
+                issueUpdate(id: $id, input: $input) {
+                    success
+                    issue {
+                        id
+                        identifier
+                        priority
+                        priorityLabel
+                        state {
+                            id
+                            name
+                        }
+                        assignee {
+                            id
+                            name
+                        }
+                    }
+                }
+            }
+        `;
+
+        const data = await this.makeRequest(query, { id: issueId, input });
+
+        if (!data.issueUpdate?.success) {
+            throw new Error('Linear did not update the issue');
+        }
+
+        return data.issueUpdate.issue;
+    }
+
     /**
      * Unarchive notification (for testing purposes)
      */
@@ -392,51 +755,86 @@ export class LinearAPIClient {
     }
 
     /**
-     * Get updates since last check using notifications
+     * Get updates since a checkpoint using notifications
+     * Follows the inbox cursor until it reaches notifications from before the
+     * checkpoint (minus an overlap window), fetching at most
+     * `max-notifications-per-poll` new ones. Notifications re-fetched in the
+     * overlap window are dropped before the cap is applied, so they neither
+     * take up its slots nor count as overflow.
+     * Archived notifications are fetched too, so the newest page also reports
+     * what was read, archived or snoozed in Linear since it was delivered.
+     * @param {{createdAt: string, id: string|null}} checkpoint - newest notification already delivered
+     * @param {function(string): boolean} isDelivered - whether a notification ID was already delivered
+     * @returns {Promise<{updates: Array, checkpoint: Object, overflowCount: number, hasMoreOverflow: boolean,
+     *   recentNotifications: Array}>} - new updates, the checkpoint to save once they are delivered, how many
+     *   were dropped by the cap (hasMoreOverflow if further pages were not fetched), and the newest page
+     *   of raw notifications for reconciling their state
      */
-    async getUpdates() {
-        const lastUpdateTime = this.getLastUpdateTime();
+    async getUpdates(checkpoint, isDelivered = () => false) {
+        const since = new Date(checkpoint.createdAt).getTime() - CHECKPOINT_OVERLAP_MS;
+        const maxNotifications = this.settings.get_int('max-notifications-per-poll');
 
         try {
-            const notifications = await this.getNotifications(50);
-
-            // Filter to only unarchived notifications created after last update time
-            const newNotifications = notifications.nodes.filter(notification => {
-                const createdAt = new Date(notification.createdAt);
-                const isAfterLastUpdate = createdAt.getTime() > lastUpdateTime.getTime();
+            const newNotifications = [];
+            let newestNotification = null;
+            let hasMoreOverflow = false;
+            let recentNotifications = null;
+            let after = null;
+            let hasNextPage = true;
+
+            while (hasNextPage) {
+                const notifications = await this.getNotifications(NOTIFICATIONS_PAGE_SIZE, after, true);
+                newestNotification = newestNotification || notifications.nodes[0] || null;
+                recentNotifications = recentNotifications || notifications.nodes;
+
+                // Filter to notifications created after the checkpoint's overlap window
+                const pageNotifications = notifications.nodes.filter(notification => {
+                    const createdAt = new Date(notification.createdAt);
+                    const isAfterCheckpoint = createdAt.getTime() > since;
+
+                    return isAfterCheckpoint;
+                });
+
+                // Skip notifications already delivered, and ones archived before they were ever shown
+                newNotifications.push(...pageNotifications.filter(notification =>
+                    !notification.archivedAt && !isDelivered(notification.id)));
+
+                // Pages are newest first, so an older notification means we caught up
+                const reachedCheckpoint = pageNotifications.length < notifications.nodes.length;
+                hasNextPage = !reachedCheckpoint && Boolean(notifications.pageInfo?.hasNextPage);
+
+                if (hasNextPage && newNotifications.length >= maxNotifications) {
+                    hasMoreOverflow = true;
+                    hasNextPage = false;
+                }
 
-                return isAfterLastUpdate;
-            });
+                after = notifications.pageInfo?.endCursor ?? null;
+            }
 
-            this.updateLastUpdateTime();
+            const overflowCount = Math.max(0, newNotifications.length - maxNotifications);
+            if (overflowCount > 0 || hasMoreOverflow) {
+                this.logger.warn(`More than ${maxNotifications} new notifications, summarizing the rest`);
+            }
 
             const updates = [];
 
             // Convert Linear notifications to our update format
-            for (const notification of newNotifications) {
-                const update = {
-                    id: `notification-${notification.id}`,
-                    type: this.mapNotificationType(notification.type),
-                    title: this.formatNotificationTitle(notification),
-                    body: this.formatNotificationBody(notification),
-                    url: notification.url,
-                    updatedAt: new Date(notification.createdAt),
-                    data: {
-                        notificationId: notification.id,
-                        notificationType: notification.type,
-                        actor: notification.actor,
-                        issueStatusType: notification.issueStatusType
-                    }
-                };
-
-                updates.push(update);
+            for (const notification of newNotifications.slice(0, maxNotifications)) {
+                updates.push(this.convertNotification(notification));
             }
 
             // Sort by most recent first
             updates.sort((a, b) => b.updatedAt.getTime() - a.updatedAt.getTime());
 
+            // Only move forward using the server's own timestamps
+            let nextCheckpoint = checkpoint;
+            if (newestNotification &&
+                new Date(newestNotification.createdAt).getTime() > new Date(checkpoint.createdAt).getTime()) {
+                nextCheckpoint = { createdAt: newestNotification.createdAt, id: newestNotification.id };
+            }
+
             this.logger.debug(`Retrieved ${updates.length} new notifications`);
-            return updates;
+            return { updates, checkpoint: nextCheckpoint, overflowCount, hasMoreOverflow, recentNotifications };
 
         } catch (error) {
             this.logger.error('Failed to get notifications:', error.message);
@@ -444,6 +842,33 @@ export class LinearAPIClient {
         }
     }
 
+    /**
+     * Convert a Linear notification to our update format
+     */
+    convertNotification(notification) {
+        return {
+            id: `notification-${notification.id}`,
+            type: this.mapNotificationType(notification.type),
+            title: this.formatNotificationTitle(notification),
+            body: this.formatNotificationBody(notification),
+            url: notification.url,
+            updatedAt: new Date(notification.createdAt),
+            data: {
+                notificationId: notification.id,
+                notificationType: notification.type,
+                title: notification.title,
+                subtitle: notification.subtitle,
+                issue: notification.issue,
+                comment: notification.comment,
+                actor: notification.actor,
+                issueStatusType: notification.issueStatusType,
+                issuePriority: notification.issue?.priority,
+                readAt: notification.readAt,
+                snoozedUntilAt: notification.snoozedUntilAt
+            }
+        };
+    }
+
     /**
      * Format notification title - use Linear's title with issue identifier for IssueNotifications
      */
@@ -459,73 +884,64 @@ export class LinearAPIClient {
     }
 
     /**
-     * Format notification body - use Linear's subtitle with optional type indicator
+     * Format notification body - Linear's subtitle with optional type indicator,
+     * followed by the comment's text and a context line like "ENG · High · In Review"
      */
     formatNotificationBody(notification) {
-        let body = notification.subtitle || '';
+        let summary = notification.subtitle || '';
 
         // Add notification type indicator if we can't show badges
         const typeIcon = this.getNotificationTypeIcon(notification.type);
-        if (typeIcon && body) {
-            body = `${typeIcon} ${body}`;
+        if (typeIcon && summary) {
+            summary = `${typeIcon} ${summary}`;
         }
 
-        return body || 'New activity in Linear';
-    }
+        const lines = [summary || 'New activity in Linear'];
 
-    /**
-     * Get notification type icon for simple prefix indication
-     */
-    getNotificationTypeIcon(notificationType) {
-        const iconMap = {
-            'issueNewComment': '💬',
-            'issueCommentMention': '@',
-            'issueAssigned': '👤',
-            'issueUnassigned': '👤',
-            'issueStatusChanged': '📋',
-            'issueCreated': '➕',
-            'issueAddedToView': '📁',
-            'triageResponsibilityIssueAddedToTriage': '🔍'
-        };
+        const excerpt = markdownToPlainText(notification.comment?.body, COMMENT_EXCERPT_LENGTH);
+        if (excerpt) {
+            lines.push(excerpt);
+        }
 
-        return iconMap[notificationType] || '';
+        const context = this.formatIssueContext(notification.issue);
+        if (context) {
+            lines.push(context);
+        }
+
+        return lines.join('\n');
     }
 
     /**
-     * Map Linear notification types to our internal types
+     * One-line summary of an issue's team, priority and state
      */
-    mapNotificationType(linearType) {
-        const typeMap = {
-            'issueCreated': 'new_issue',
-            'issueAssigned': 'issue_assigned',
-            'issueStatusChanged': 'status_change',
-            'issueCommentCreated': 'new_comment',
-            'issueMentioned': 'mentioned',
-            'issueUnassigned': 'issue_unassigned'
-        };
-
-        return typeMap[linearType] || 'notification';
-    }
+    formatIssueContext(issue) {
+        if (!issue) {
+            return '';
+        }
 
-    getLastUpdateTime() {
-        const lastUpdateString = this.settings.get_string('last-update-time');
+        // Linear reports "No priority" for issues without one
+        const priority = issue.priority ? issue.priorityLabel : null;
 
-        if (lastUpdateString) {
-            return new Date(lastUpdateString);
-        }
+        return [issue.team?.key, priority, issue.state?.name].filter(Boolean).join(' · ');
+    }
 
-        // First run - get updates from 1 hour ago
-        const oneHourAgo = new Date();
-        oneHourAgo.setHours(oneHourAgo.getHours() - 1);
-        return oneHourAgo;
+    /**
+     * Get notification type icon for simple prefix indication
+     */
+    getNotificationTypeIcon(notificationType) {
+        return getNotificationType(notificationType).icon;
     }
 
-    updateLastUpdateTime() {
-        const now = new Date().toISOString();
-        this.settings.set_string('last-update-time', now);
+    /**
+     * Map Linear notification types to the ID of their type registry entry
+     */
+    mapNotificationType(linearType) {
+        return getNotificationType(linearType).id;
     }
 
     destroy() {
+        this.workflowStates.clear();
+
         if (this.httpSession) {
             this.httpSession = null;
         }
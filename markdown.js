@@ -0,0 +1,95 @@
+/**
+ * Convert Linear's Markdown to plain text for notification bodies
+ *
+ * Formatting is dropped, links keep their text, links to Linear profiles and
+ * issues become "@name" and "ENG-123", and code blocks are cut to their first
+ * lines. The result is plain text; the shell escapes it when displaying it.
+ */
+
+// Lines of a fenced code block kept in the plain text
+const CODE_BLOCK_LINES = 2;
+
+const PROFILE_URL_PATTERN = /^https:\/\/linear\.app\/[^/]+\/profiles\/([^/?#)\s]+)/;
+const ISSUE_URL_PATTERN = /^https:\/\/linear\.app\/[^/]+\/issue\/([A-Za-z0-9]+-\d+)/;
+
+// HTML tags that may appear in Markdown; other text in angle brackets, like
+// "<username>" placeholders, is kept
+const HTML_TAG_PATTERN = new RegExp('</?(?:a|b|blockquote|br|code|del|details|div|em|h[1-6]|hr|i|img|ins|kbd|li|' +
+    'mark|ol|p|pre|s|span|strong|sub|summary|sup|table|tbody|td|th|thead|tr|u|ul)\\b[^>\\n]*>', 'gi');
+
+/**
+ * Convert Markdown to plain text
+ * @param {string} markdown - Markdown source
+ * @param {number} maxLength - Cut the text at a word boundary beyond this length
+ */
+export function markdownToPlainText(markdown, maxLength = Infinity) {
+    let text = (markdown ?? '').replace(/\r\n?/g, '\n');
+
+    text = text.replace(/^(`{3,}|~{3,})[^\n]*\n([\s\S]*?)(?:^\1[^\n]*$|(?![\s\S]))/gm, (_, fence, code) => {
+        const lines = code.split('\n').filter(line => line.trim() !== '');
+        const kept = lines.slice(0, CODE_BLOCK_LINES).map(line => line.trim());
+        if (lines.length > CODE_BLOCK_LINES) {
+            kept.push('…');
+        }
+        return kept.join('\n');
+    });
+
+    text = text
+        // Images keep their description only
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, (_, alt) => alt || '[image]')
+        .replace(/\[([^\]]*)\]\(([^)\s]*)[^)]*\)/g, (_, label, url) => formatLink(label, url))
+        .replace(/<?(https:\/\/linear\.app\/[^\s>)]+)>?/g, (_, url) => formatLink('', url))
+        .replace(/`([^`\n]+)`/g, '$1')
+        .replace(/^#{1,6}\s+/gm, '')
+        .replace(/^\s*>\s?/gm, '')
+        .replace(/^\s*[-*+]\s+\[[ xX]\]\s+/gm, '• ')
+        .replace(/^\s*[-*+]\s+/gm, '• ')
+        .replace(/^\s*(?:[-*_]\s*){3,}$/gm, '')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?![\w*])/g, '$1$2')
+        .replace(/~~(.+?)~~/g, '$1')
+        .replace(HTML_TAG_PATTERN, '');
+
+    text = removeControlCharacters(text)
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    return truncate(text, maxLength);
+}
+
+/**
+ * Drop control characters other than newlines and tabs, which would garble the banner
+ */
+function removeControlCharacters(text) {
+    return [...text].filter(char => {
+        const codePoint = char.codePointAt(0);
+        return char === '\n' || char === '\t' || (codePoint >= 0x20 && codePoint !== 0x7f);
+    }).join('');
+}
+
+function formatLink(label, url) {
+    const profile = PROFILE_URL_PATTERN.exec(url);
+    if (profile) {
+        const name = label || profile[1];
+        return name.startsWith('@') ? name : `@${name}`;
+    }
+
+    const issue = ISSUE_URL_PATTERN.exec(url);
+    if (issue && (!label || label === url)) {
+        return issue[1].toUpperCase();
+    }
+
+    return label || url;
+}
+
+function truncate(text, maxLength) {
+    if (text.length <= maxLength) {
+        return text;
+    }
+
+    const cut = text.slice(0, maxLength);
+    const wordBoundary = cut.search(/\s\S*$/);
+    return `${(wordBoundary > maxLength / 2 ? cut.slice(0, wordBoundary) : cut).trimEnd()}…`;
+}
\ No newline at end of file
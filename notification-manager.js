@@ -1,16 +1,76 @@
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as MessageTray from 'resource:///org/gnome/shell/ui/messageTray.js';
+import * as Signals from 'resource:///org/gnome/shell/misc/signals.js';
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
 import Soup from 'gi://Soup';
+import { getAccount } from './accounts.js';
+import { findMatchingRule, loadRules } from './filter-rules.js';
+import { LinearIssueActionsDialog } from './issue-actions-dialog.js';
+import { LINEAR_INBOX_URL } from './linear-client.js';
 import { Logger } from './logger.js';
+import { markdownToPlainText } from './markdown.js';
+import { getNotificationType } from './notification-types.js';
+import { isQuietTime, loadSchedule } from './quiet-hours.js';
+import { LinearReplyDialog } from './reply-dialog.js';
+import { LinearSnoozeDialog } from './snooze-dialog.js';
+import { loadSnoozePresets } from './snooze.js';
+import { getUrgencyLevel, getUrgencyRank, loadUrgencyMap, PRIORITY_LEVELS } from './urgency.js';
 
-export class LinearNotificationManager {
+// How often to check whether quiet hours have ended while notifications are held
+const QUIET_HOURS_CHECK_SECONDS = 60;
+
+// Number of held notification titles listed in the catch-up summary
+const CATCH_UP_SUMMARY_ITEMS = 3;
+
+// Linear's priority value for Urgent issues
+const URGENT_PRIORITY = PRIORITY_LEVELS.find(level => level.id === 'urgent').value;
+
+// Number of bodies listed when several notifications for one issue are merged
+const MERGED_NOTIFICATION_ITEMS = 3;
+
+// Window for the per-minute banner cap
+const BANNER_WINDOW_MS = 60 * 1000;
+
+// Custom click commands still running after this long are no longer waited for
+const COMMAND_TIMEOUT_SECONDS = 30;
+
+// Placeholders of the custom click command
+const COMMAND_PLACEHOLDER_PATTERN = /\{\{(URL|IDENTIFIER|TITLE|TYPE|ACTOR|NOTIFICATION_ID|BRANCH)\}\}/g;
+
+// Theme sound played for types set to the system default sound
+const DEFAULT_SOUND_NAME = 'message-new-instant';
+
+// GNOME urgency of the level names used by the urgency settings
+const URGENCIES = {
+    low: MessageTray.Urgency.LOW,
+    normal: MessageTray.Urgency.NORMAL,
+    high: MessageTray.Urgency.HIGH,
+    critical: MessageTray.Urgency.CRITICAL
+};
+
+/**
+ * Shows Linear notifications as desktop notifications
+ *
+ * Emits 'notification-added' for every notification that passes the filters,
+ * including ones held back during quiet hours.
+ */
+export class LinearNotificationManager extends Signals.EventEmitter {
     constructor(extension) {
+        super();
+
         this.extension = extension;
         this.settings = extension.getSettings();
         this.logger = new Logger('NotificationManager');
         this.avatarCache = new Map();
+        this.heldNotifications = [];
+        this.quietHoursTimeoutId = null;
+        this.bannerTimes = [];
+        this.lastSoundTime = 0;
+
+        // Desktop notification shown for each Linear notification ID
+        this.shownNotifications = new Map();
+        this.desktopNotificationSettings = new Gio.Settings({ schema_id: 'org.gnome.desktop.notifications' });
         this.httpSession = new Soup.Session();
         this.cacheDir = GLib.build_filenamev([GLib.get_user_cache_dir(), 'linear-notifications', 'avatars']);
         this.ensureCacheDir();
@@ -88,11 +148,170 @@ export class LinearNotificationManager {
     }
 
     showNotification(notification) {
-        if (!this.shouldShowNotification(notification)) {
-            return;
+        this.showNotifications([notification]);
+    }
+
+    /**
+     * Show the notifications of one poll
+     * Notifications for the same issue are merged, and bursts larger than
+     * `group-summary-threshold` collapse into a single summary.
+     */
+    showNotifications(notifications) {
+        const accepted = notifications
+            .map(notification => this.prepareNotification(notification))
+            .filter(Boolean);
+
+        accepted.forEach(notification => this.emit('notification-added', notification));
+
+        for (const notification of this.groupNotifications(accepted)) {
+            if (this.isQuietHours() && !this.canBypassQuietHours(notification)) {
+                this.holdNotification(notification);
+                continue;
+            }
+
+            this.displayNotification(notification);
         }
+    }
+
+    /**
+     * Record a notification and apply filter rules and type settings
+     * @returns {Object|null} - the notification to show, or null if it is filtered out
+     */
+    prepareNotification(notification) {
+        const notificationStore = this.extension.notificationStore;
+        const notificationId = notification.data?.notificationId;
+
+        // Snoozed notifications coming back were filtered when first delivered
+        if (notification.resurfaced) {
+            return notification;
+        }
+
+        // Never show a Linear notification twice, even across sessions
+        if (notificationId && notificationStore) {
+            if (notificationStore.has(notificationId)) {
+                this.logger.debug(`Notification ${notificationId} already delivered, skipping`);
+                return null;
+            }
+
+            notificationStore.recordDelivered(notification);
+        }
+
+        const rule = notificationId ? findMatchingRule(loadRules(this.settings), notification) : null;
+        if (rule) {
+            this.logger.debug(`Filter rule "${rule.name}" matched: ${rule.action}`);
+
+            if (rule.action === 'hide') {
+                return null;
+            }
+
+            if (rule.action === 'mark-read') {
+                this.markNotificationsAsRead([notificationId], notification.data.accountId);
+                return null;
+            }
+
+            if (rule.action === 'force-urgent') {
+                return { ...notification, forceUrgent: true };
+            }
+        } else if (!this.shouldShowNotification(notification)) {
+            return null;
+        }
+
+        return notification;
+    }
+
+    /**
+     * Merge notifications for the same issue and collapse large bursts
+     */
+    groupNotifications(notifications) {
+        const groups = new Map();
+
+        for (const notification of notifications) {
+            const identifier = notification.data?.issue?.identifier;
+            const key = identifier ? `${notification.data.accountId}:${identifier}` : Symbol('ungrouped');
+
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(notification);
+        }
+
+        const merged = [...groups.values()].map(group =>
+            group.length > 1 ? this.mergeNotifications(group) : group[0]);
+
+        // Urgent notifications are always shown on their own
+        const urgent = merged.filter(notification => notification.forceUrgent);
+        const regular = merged.filter(notification => !notification.forceUrgent);
 
+        if (regular.length > this.settings.get_int('group-summary-threshold')) {
+            return [...urgent, this.createBurstSummary(regular)];
+        }
+
+        return merged;
+    }
+
+    /**
+     * Merge several notifications for one issue into one, newest first
+     */
+    mergeNotifications(group) {
+        const [newest] = group;
+        // Only the summary line of each body, the rest repeats the issue context
+        const lines = group.slice(0, MERGED_NOTIFICATION_ITEMS).map(notification => notification.body.split('\n')[0]);
+        if (group.length > MERGED_NOTIFICATION_ITEMS) {
+            lines.push(`…and ${group.length - MERGED_NOTIFICATION_ITEMS} more`);
+        }
+
+        return {
+            ...newest,
+            body: `${group.length} updates\n${lines.join('\n')}`,
+            data: {
+                ...newest.data,
+                groupedNotificationIds: group.flatMap(notification =>
+                    notification.data.groupedNotificationIds ?? [notification.data.notificationId]),
+                groupedTypes: group.flatMap(notification => this.getNotificationTypes(notification))
+            }
+        };
+    }
+
+    /**
+     * Summarize a burst of notifications, e.g. "7 updates in ENG from 3 people"
+     */
+    createBurstSummary(notifications) {
+        const count = notifications.reduce((total, notification) =>
+            total + (notification.data?.groupedNotificationIds?.length ?? 1), 0);
+        const teams = new Set(notifications.map(notification => notification.data?.issue?.team?.key).filter(Boolean));
+        const people = new Set(notifications.map(notification => notification.data?.actor?.displayName).filter(Boolean));
+
+        let title = `${count} Linear updates`;
+        if (teams.size === 1) {
+            title += ` in ${[...teams][0]}`;
+        } else if (teams.size > 1) {
+            title += ` in ${teams.size} teams`;
+        }
+        if (people.size > 0) {
+            title += people.size === 1 ? ` from ${[...people][0]}` : ` from ${people.size} people`;
+        }
+
+        this.logger.debug(`Collapsing ${notifications.length} notifications into a summary`);
+
+        return {
+            title,
+            body: notifications.slice(0, MERGED_NOTIFICATION_ITEMS).map(notification => notification.title).join('\n'),
+            url: LINEAR_INBOX_URL,
+            openLabel: 'Open Inbox',
+            data: {
+                summarizedNotificationIds: notifications.flatMap(notification => this.getNotificationIds(notification)),
+                groupedTypes: notifications.flatMap(notification => this.getNotificationTypes(notification))
+            }
+        };
+    }
+
+    /**
+     * Add a notification to the message tray
+     */
+    displayNotification(notification) {
         try {
+            const urgency = this.applyBannerCap(this.getUrgency(notification));
+
             // Use defensive source operation
             this.executeWithSource((source) => {
                 // Try to get custom avatar icon if available
@@ -100,9 +319,10 @@ export class LinearNotificationManager {
                 
                 const notificationParams = {
                     source: source,
-                    title: notification.title,
+                    title: this.formatTitle(notification),
                     body: notification.body,
-                    isTransient: false
+                    isTransient: this.settings.get_strv('transient-notification-types').includes(notification.type),
+                    urgency
                 };
 
                 // Add icon if available
@@ -115,37 +335,358 @@ export class LinearNotificationManager {
                 // Handle clicking on the notification itself (not just action buttons)
                 gnomeNotification.connect('activated', () => {
                     this.logger.debug('Notification clicked, opening URL:', notification.url);
-                    this.handleNotificationClick(notification.url);
-                });
-
-                // Primary action - open in Linear
-                gnomeNotification.addAction('Open', () => {
-                    this.handleNotificationClick(notification.url);
+                    this.handleNotificationClick(notification.url, notification);
                 });
 
-                // If this is a Linear notification, add mark as read action
+                // If this is a Linear notification, add inbox actions. GNOME shows at
+                // most three buttons, so opening is left to clicking the notification.
                 if (notification.data?.notificationId) {
-                    gnomeNotification.addAction('Mark Read', () => {
-                        this.markNotificationAsRead(notification.data.notificationId);
+                    const { notificationId, accountId } = notification.data;
+
+                    // Merged notifications act on every notification they contain
+                    const notificationIds = notification.data.groupedNotificationIds ?? [notificationId];
+
+                    // Comments and mentions can be answered; the reply dialog offers Mark Read instead
+                    if (this.canReply(notification)) {
+                        gnomeNotification.addAction('Reply', () => {
+                            this.openReplyDialog(notification, notificationIds);
+                        });
+                    } else {
+                        gnomeNotification.addAction('Mark Read', () => {
+                            this.markNotificationsAsRead(notificationIds, accountId);
+                        });
+                    }
+
+                    gnomeNotification.addAction('Snooze…', () => {
+                        this.openSnoozeDialog(notification, notificationIds);
                     });
 
-                    gnomeNotification.addAction('Snooze 1h', () => {
-                        const oneHourLater = new Date();
-                        oneHourLater.setHours(oneHourLater.getHours() + 1);
-                        this.snoozeNotification(notification.data.notificationId, oneHourLater.toISOString());
+                    // Issue notifications move Archive into the issue actions dialog
+                    if (this.hasIssueActions(notification)) {
+                        gnomeNotification.addAction('Actions…', () => {
+                            this.openIssueActionsDialog(notification, notificationIds);
+                        });
+                    } else {
+                        gnomeNotification.addAction('Archive', () => {
+                            this.archiveNotifications(notificationIds, accountId, notification);
+                        });
+                    }
+                } else {
+                    // Primary action - open in Linear
+                    gnomeNotification.addAction(notification.openLabel ?? 'Open', () => {
+                        this.handleNotificationClick(notification.url, notification);
                     });
                 }
 
+                this.trackNotification(notification, gnomeNotification);
+
                 // This is the critical operation that can fail if source is disposed
                 source.addNotification(gnomeNotification);
             });
-            
+
+            // Notifications going silently to the tray make no sound either
+            if (urgency !== MessageTray.Urgency.LOW && !notification.restored) {
+                this.playSound(notification);
+            }
+
             this.logger.debug('Notification displayed successfully');
         } catch (error) {
             this.logger.error('Failed to show notification after retries:', error);
         }
     }
 
+    /**
+     * Remember the desktop notification of the Linear notifications it shows,
+     * until it is dismissed
+     */
+    trackNotification(notification, gnomeNotification) {
+        const notificationId = notification.data?.notificationId;
+        if (!notificationId) {
+            return;
+        }
+
+        const notificationIds = notification.data.groupedNotificationIds ?? [notificationId];
+        notificationIds.forEach(id => this.shownNotifications.set(id, gnomeNotification));
+
+        gnomeNotification.connect('destroy', () => {
+            for (const id of notificationIds) {
+                if (this.shownNotifications.get(id) === gnomeNotification) {
+                    this.shownNotifications.delete(id);
+                }
+            }
+        });
+    }
+
+    /**
+     * Remove the desktop notification of a Linear notification that was handled
+     * Merged notifications stay until all notifications they contain were handled.
+     */
+    withdrawNotification(notificationId) {
+        // Held merged notifications are kept as they cover other notifications too
+        const heldCount = this.heldNotifications.length;
+        this.heldNotifications = this.heldNotifications.filter(held =>
+            held.data?.notificationId !== notificationId || held.data.groupedNotificationIds);
+        if (this.heldNotifications.length < heldCount) {
+            this.extension.notificationStore?.updateState(notificationId, { heldAt: null });
+        }
+
+        const gnomeNotification = this.shownNotifications.get(notificationId);
+        if (!gnomeNotification) {
+            return;
+        }
+
+        this.shownNotifications.delete(notificationId);
+
+        if ([...this.shownNotifications.values()].includes(gnomeNotification)) {
+            return;
+        }
+
+        this.logger.debug(`Withdrawing notification ${notificationId}, handled in Linear`);
+        gnomeNotification.destroy(MessageTray.NotificationDestroyedReason.SOURCE_CLOSED);
+    }
+
+    /**
+     * Send banners past the per-minute cap silently to the message tray
+     * Only critical notifications are exempt from the cap.
+     */
+    applyBannerCap(urgency) {
+        if (urgency === MessageTray.Urgency.LOW) {
+            return urgency;
+        }
+
+        const now = Date.now();
+        this.bannerTimes = this.bannerTimes.filter(time => now - time < BANNER_WINDOW_MS);
+
+        if (urgency !== MessageTray.Urgency.CRITICAL &&
+            this.bannerTimes.length >= this.settings.get_int('max-banners-per-minute')) {
+            this.logger.debug('Banner cap reached, adding notification to the tray silently');
+            return MessageTray.Urgency.LOW;
+        }
+
+        this.bannerTimes.push(now);
+        return urgency;
+    }
+
+    /**
+     * Play the sound configured for the notification's type through the shell's
+     * sound player, skipping it if another sound played within the repeat window
+     * Summaries play the sound of the type they contain with the highest
+     * configured urgency, so a mention in a burst is still heard.
+     */
+    playSound(notification) {
+        if (this.settings.get_boolean('mute-sounds')) {
+            return;
+        }
+
+        const sounds = this.settings.get_value('notification-sounds').deepUnpack();
+        const typeUrgency = loadUrgencyMap(this.settings, 'type-urgency');
+
+        const soundTypes = this.getNotificationTypes(notification).filter(type => (sounds[type] ?? 'none') !== 'none');
+        if (soundTypes.length === 0) {
+            return;
+        }
+
+        const type = soundTypes.reduce((chosen, candidate) =>
+            getUrgencyRank(typeUrgency[candidate]) > getUrgencyRank(typeUrgency[chosen]) ? candidate : chosen);
+        const sound = sounds[type];
+
+        const now = Date.now();
+        if (now - this.lastSoundTime < this.settings.get_int('sound-repeat-window') * 1000) {
+            this.logger.debug('Sound played recently, skipping');
+            return;
+        }
+        this.lastSoundTime = now;
+
+        try {
+            const player = global.display.get_sound_player();
+
+            if (sound === 'default') {
+                player.play_from_theme(DEFAULT_SOUND_NAME, 'Linear notification', null);
+            } else {
+                player.play_from_file(Gio.File.new_for_path(sound), 'Linear notification', null);
+            }
+        } catch (error) {
+            this.logger.error('Failed to play notification sound:', error);
+        }
+    }
+
+    /**
+     * Check whether GNOME's Do Not Disturb mode is on
+     */
+    isDoNotDisturb() {
+        return !this.desktopNotificationSettings.get_boolean('show-banners');
+    }
+
+    /**
+     * Check a notification against the Do Not Disturb allow-list
+     */
+    isAllowedDuringDoNotDisturb(notification) {
+        const allowList = this.settings.get_strv('dnd-allow-list');
+
+        return (allowList.includes('mentions') && this.isMention(notification)) ||
+               (allowList.includes('urgent') && this.isUrgent(notification)) ||
+               (allowList.includes('urgent-assignments') && this.isUrgent(notification) &&
+                   notification.type === 'assigned');
+    }
+
+    /**
+     * Map the notification's type and issue priority to an urgency
+     * While Do Not Disturb is on, queue notifications silently in the tray
+     * unless they are allow-listed, in which case they break through
+     */
+    getUrgency(notification) {
+        // Forced by a filter rule
+        if (notification.forceUrgent) {
+            return MessageTray.Urgency.CRITICAL;
+        }
+
+        if (!this.isDoNotDisturb()) {
+            return URGENCIES[getUrgencyLevel(this.settings, notification)] ?? MessageTray.Urgency.NORMAL;
+        }
+
+        return this.isAllowedDuringDoNotDisturb(notification)
+            ? MessageTray.Urgency.CRITICAL
+            : MessageTray.Urgency.LOW;
+    }
+
+    isQuietHours() {
+        return this.settings.get_boolean('quiet-hours-enabled') &&
+               isQuietTime(loadSchedule(this.settings));
+    }
+
+    /**
+     * Check whether a notification may be shown during quiet hours
+     */
+    canBypassQuietHours(notification) {
+        return notification.forceUrgent ||
+               (this.settings.get_boolean('quiet-hours-allow-mentions') && this.isMention(notification)) ||
+               (this.settings.get_boolean('quiet-hours-allow-urgent') && this.isUrgent(notification));
+    }
+
+    isMention(notification) {
+        return notification.type === 'mention' ||
+               (notification.data?.notificationType ?? '').includes('Mention');
+    }
+
+    isUrgent(notification) {
+        return notification.data?.issuePriority === URGENT_PRIORITY;
+    }
+
+    /**
+     * Linear notification IDs a desktop notification stands for
+     */
+    getNotificationIds(notification) {
+        const data = notification.data ?? {};
+        return data.groupedNotificationIds ?? data.summarizedNotificationIds ??
+            (data.notificationId ? [data.notificationId] : []);
+    }
+
+    /**
+     * Types of the notifications a desktop notification stands for
+     */
+    getNotificationTypes(notification) {
+        return notification.data?.groupedTypes ?? (notification.type ? [notification.type] : []);
+    }
+
+    /**
+     * Keep a notification back until quiet hours end
+     * Held notifications are marked in the notification store, which already
+     * counts them as delivered, so they survive a shell restart.
+     */
+    holdNotification(notification) {
+        const heldAt = new Date().toISOString();
+        for (const notificationId of this.getNotificationIds(notification)) {
+            this.extension.notificationStore?.updateState(notificationId, { heldAt });
+        }
+
+        this.queueHeldNotification(notification);
+    }
+
+    /**
+     * Hold the notifications that were still held when the shell last stopped
+     */
+    restoreHeldNotifications() {
+        const entries = this.extension.notificationStore?.getHeld() ?? [];
+        if (entries.length === 0) {
+            return;
+        }
+
+        this.logger.debug(`Restoring ${entries.length} notifications held during quiet hours`);
+
+        for (const entry of entries) {
+            this.queueHeldNotification(this.createNotificationFromEntry(entry));
+        }
+    }
+
+    /**
+     * Rebuild a notification from its notification store entry
+     */
+    createNotificationFromEntry(entry) {
+        return {
+            title: entry.title,
+            body: entry.body,
+            url: entry.url,
+            type: getNotificationType(entry.type).id,
+            data: {
+                notificationId: entry.id,
+                notificationType: entry.type,
+                accountId: entry.accountId
+            }
+        };
+    }
+
+    queueHeldNotification(notification) {
+        this.heldNotifications.push(notification);
+        this.logger.debug(`Holding notification during quiet hours (${this.heldNotifications.length} held)`);
+
+        if (this.quietHoursTimeoutId) {
+            return;
+        }
+
+        this.quietHoursTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, QUIET_HOURS_CHECK_SECONDS, () => {
+            if (this.isQuietHours()) {
+                return GLib.SOURCE_CONTINUE;
+            }
+
+            this.quietHoursTimeoutId = null;
+            this.showCatchUpSummary();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    /**
+     * Show a single summary of the notifications held during quiet hours
+     */
+    showCatchUpSummary() {
+        const held = this.heldNotifications;
+        this.heldNotifications = [];
+
+        if (held.length === 0) {
+            return;
+        }
+
+        for (const notificationId of held.flatMap(notification => this.getNotificationIds(notification))) {
+            this.extension.notificationStore?.updateState(notificationId, { heldAt: null });
+        }
+
+        const lines = held.slice(0, CATCH_UP_SUMMARY_ITEMS).map(notification => this.formatTitle(notification));
+        if (held.length > CATCH_UP_SUMMARY_ITEMS) {
+            lines.push(`…and ${held.length - CATCH_UP_SUMMARY_ITEMS} more`);
+        }
+
+        this.displayNotification({
+            title: held.length === 1
+                ? '1 Linear notification during quiet hours'
+                : `${held.length} Linear notifications during quiet hours`,
+            body: lines.join('\n'),
+            url: LINEAR_INBOX_URL,
+            openLabel: 'Open Inbox',
+            data: {
+                groupedTypes: held.flatMap(notification => this.getNotificationTypes(notification))
+            }
+        });
+    }
+
     /**
      * Ensure cache directory exists
      */
@@ -324,34 +865,53 @@ export class LinearNotificationManager {
         });
     }
 
+    /**
+     * Tag the title with the workspace name when several accounts are active
+     */
+    formatTitle(notification) {
+        const workspaceName = notification.data?.workspaceName;
+        const title = notification.resurfaced ? `Reminder: ${notification.title}` : notification.title;
+
+        if (workspaceName && this.extension.pollingServices?.size > 1) {
+            return `[${workspaceName}] ${title}`;
+        }
+
+        return title;
+    }
+
     shouldShowNotification(notification) {
-        switch (notification.type) {
-            case 'new_issue':
-                return this.settings.get_boolean('notify-new-issues');
-            case 'issue_updated':
-                return this.settings.get_boolean('notify-issue-updates');
-            case 'issue_assigned':
-                return this.settings.get_boolean('notify-assigned-issues');
-            case 'issue_unassigned':
-                return this.settings.get_boolean('notify-assigned-issues');
-            case 'new_comment':
-                return this.settings.get_boolean('notify-comments');
-            case 'mentioned':
-                return this.settings.get_boolean('notify-mentions');
-            case 'status_change':
-                return this.settings.get_boolean('notify-status-changes');
-            default:
-                return true;
-        }
-    }
-
-    handleNotificationClick(url) {
+        // Summaries created by the extension are always shown
+        if (!notification.data?.notificationId) {
+            return true;
+        }
+
+        return this.isTypeEnabled(notification.type, notification.data.accountId);
+    }
+
+    /**
+     * Check whether a notification type is enabled, preferring the account's own filter
+     */
+    isTypeEnabled(typeId, accountId) {
+        const accountFilter = accountId ? getAccount(this.settings, accountId)?.filters?.[typeId] : undefined;
+
+        if (typeof accountFilter === 'boolean') {
+            return accountFilter;
+        }
+
+        return !this.settings.get_strv('disabled-notification-types').includes(typeId);
+    }
+
+    /**
+     * @param {string} url - Linear URL to open
+     * @param {Object|null} notification - notification clicked, for the custom command's placeholders
+     */
+    handleNotificationClick(url, notification = null) {
         const clickAction = this.settings.get_string('click-action');
 
         if (clickAction === 'browser') {
             this.openInBrowser(url);
         } else if (clickAction === 'custom') {
-            this.runCustomCommand(url);
+            this.runCustomCommand(url, notification);
         }
     }
 
@@ -363,7 +923,15 @@ export class LinearNotificationManager {
         }
     }
 
-    runCustomCommand(url) {
+    /**
+     * Run the custom click command without a shell
+     * The command is split into arguments before placeholders are replaced
+     * inside each argument, so values with spaces or quotes never add
+     * arguments. A notification is shown if the command exits with an error
+     * within COMMAND_TIMEOUT_SECONDS; commands still running then, like a
+     * browser they started, are left running and no longer watched.
+     */
+    runCustomCommand(url, notification = null) {
         const customCommand = this.settings.get_string('custom-command');
 
         if (!customCommand) {
@@ -371,42 +939,379 @@ export class LinearNotificationManager {
             return;
         }
 
-        const command = customCommand.replace('{{URL}}', url);
+        const values = this.getCommandPlaceholders(url, notification);
 
+        let subprocess;
         try {
-            GLib.spawn_command_line_async(command);
+            const [, template] = GLib.shell_parse_argv(customCommand);
+            const argv = template.map(argument =>
+                argument.replace(COMMAND_PLACEHOLDER_PATTERN, (placeholder, name) => values[name]));
+            subprocess = Gio.Subprocess.new(argv,
+                Gio.SubprocessFlags.STDOUT_SILENCE | Gio.SubprocessFlags.STDERR_SILENCE);
         } catch (error) {
             this.logger.error('Failed to run custom command:', error);
+            this.showErrorNotification('Could not run custom command', error.message);
+            return;
+        }
+
+        const cancellable = new Gio.Cancellable();
+        let timeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, COMMAND_TIMEOUT_SECONDS, () => {
+            timeoutId = null;
+            cancellable.cancel();
+            return GLib.SOURCE_REMOVE;
+        });
+
+        subprocess.wait_check_async(cancellable, (process, result) => {
+            if (timeoutId) {
+                GLib.Source.remove(timeoutId);
+                timeoutId = null;
+            }
+
+            try {
+                process.wait_check_finish(result);
+            } catch (error) {
+                if (error.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                    this.logger.warn(`Custom command still running after ${COMMAND_TIMEOUT_SECONDS} seconds, ` +
+                        'no longer waiting for it');
+                    return;
+                }
+
+                const status = process.get_if_exited() ? `exit status ${process.get_exit_status()}` : 'a signal';
+                this.logger.warn(`Custom command failed with ${status}`);
+                this.showErrorNotification('Custom command failed', `Ended with ${status}`);
+            }
+        });
+    }
+
+    /**
+     * Values of the custom command placeholders for a notification
+     */
+    getCommandPlaceholders(url, notification) {
+        const data = notification?.data ?? {};
+
+        return {
+            URL: url,
+            IDENTIFIER: data.issue?.identifier ?? '',
+            TITLE: data.title ?? notification?.title ?? '',
+            TYPE: notification?.type ?? '',
+            ACTOR: data.actor?.displayName ?? '',
+            NOTIFICATION_ID: data.notificationId ?? '',
+            BRANCH: data.issue?.branchName ?? ''
+        };
+    }
+
+    /**
+     * Mark a notification as read in Linear
+     */
+    async markNotificationAsRead(notificationId, accountId) {
+        try {
+            const linearClient = this.getConnectedClient(accountId);
+            const result = await linearClient.markNotificationAsRead(notificationId);
+            this.extension.notificationStore?.updateState(notificationId, {
+                readAt: result?.notification?.readAt || new Date().toISOString()
+            });
+            this.withdrawNotification(notificationId);
+            this.logger.debug(`Marked notification ${notificationId} as read`);
+        } catch (error) {
+            this.logger.error('Failed to mark notification as read:', error);
+            throw error;
         }
     }
 
-    async markNotificationAsRead(notificationId) {
+    /**
+     * Mark notifications as read, reporting a failure as a notification
+     */
+    async markNotificationsAsRead(notificationIds, accountId) {
         try {
-            // Get the Linear API client from the extension
-            const linearClient = this.extension.linearClient;
-            if (linearClient) {
-                await linearClient.markNotificationAsRead(notificationId);
-                this.logger.debug(`Marked notification ${notificationId} as read`);
+            for (const notificationId of notificationIds) {
+                await this.markNotificationAsRead(notificationId, accountId);
             }
         } catch (error) {
-            this.logger.error('Failed to mark notification as read:', error);
+            this.showErrorNotification('Could not mark Linear notification as read', error.message);
         }
     }
 
-    async snoozeNotification(notificationId, snoozedUntilAt) {
+    /**
+     * Snooze a notification in Linear
+     */
+    async snoozeNotification(notificationId, snoozedUntilAt, accountId) {
         try {
-            // Get the Linear API client from the extension
-            const linearClient = this.extension.linearClient;
-            if (linearClient) {
-                await linearClient.snoozeNotification(notificationId, snoozedUntilAt);
-                this.logger.debug(`Snoozed notification ${notificationId} until ${snoozedUntilAt}`);
+            const linearClient = this.getConnectedClient(accountId);
+            const result = await linearClient.snoozeNotification(notificationId, snoozedUntilAt);
+            if (!result?.success) {
+                throw new Error('Linear did not snooze the notification');
             }
+
+            this.extension.notificationStore?.updateState(notificationId, { snoozedUntilAt });
+            this.withdrawNotification(notificationId);
+            this.logger.debug(`Snoozed notification ${notificationId} until ${snoozedUntilAt}`);
         } catch (error) {
             this.logger.error('Failed to snooze notification:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Ask how long to snooze notifications for, then snooze them
+     * @param {function()|null} onSnoozed - called once they were snoozed
+     */
+    openSnoozeDialog(notification, notificationIds, onSnoozed = null) {
+        const dialog = new LinearSnoozeDialog({
+            title: notification.title,
+            presets: loadSnoozePresets(this.settings),
+            onSnooze: async until => {
+                await this.snoozeNotifications(notificationIds, until, notification.data.accountId);
+                onSnoozed?.();
+            }
+        });
+
+        dialog.open();
+    }
+
+    /**
+     * Snooze notifications until a point in time and confirm it
+     * @param {Date} until - when the notifications come back
+     */
+    async snoozeNotifications(notificationIds, until, accountId) {
+        const snoozedUntilAt = until.toISOString();
+
+        try {
+            for (const notificationId of notificationIds) {
+                await this.snoozeNotification(notificationId, snoozedUntilAt, accountId);
+            }
+        } catch (error) {
+            this.showErrorNotification('Could not snooze Linear notification', error.message);
+            return;
+        }
+
+        const time = GLib.DateTime.new_from_unix_local(Math.floor(until.getTime() / 1000));
+        this.showTransientNotification(`Snoozed until ${time.format('%a %-d %b, %H:%M')}`);
+    }
+
+    canReply(notification) {
+        return Boolean(notification.data?.comment?.id && notification.data?.issue?.id) &&
+               (notification.type === 'comment' || notification.type === 'mention');
+    }
+
+    /**
+     * Ask for a reply to the notification's comment and post it as a threaded reply
+     */
+    openReplyDialog(notification, notificationIds) {
+        const { accountId, actor, comment, issue } = notification.data;
+
+        const dialog = new LinearReplyDialog({
+            title: `Reply to ${actor?.displayName ?? 'comment'} on ${issue.identifier}`,
+            comment: markdownToPlainText(comment.body),
+            onSubmit: async body => {
+                const linearClient = this.getConnectedClient(accountId);
+
+                // Replies belong to the thread's top-level comment
+                await linearClient.createComment(issue.id, body, comment.parent?.id ?? comment.id);
+                this.logger.debug(`Posted reply on ${issue.identifier}`);
+
+                this.markNotificationsAsRead(notificationIds, accountId);
+                this.showTransientNotification('Reply posted');
+            },
+            onMarkRead: () => this.markNotificationsAsRead(notificationIds, accountId)
+        });
+
+        dialog.open();
+    }
+
+    hasIssueActions(notification) {
+        return Boolean(notification.data?.issue?.id && notification.data?.issue?.team?.id);
+    }
+
+    /**
+     * Offer status, assignee and priority changes for the notification's issue
+     */
+    async openIssueActionsDialog(notification, notificationIds) {
+        const { accountId, issue } = notification.data;
+        let states;
+
+        try {
+            const linearClient = this.getConnectedClient(accountId);
+            states = await linearClient.getWorkflowStates(issue.team.id);
+        } catch (error) {
+            this.logger.error('Failed to load workflow states:', error);
+            this.showErrorNotification(`Could not load actions for ${issue.identifier}`, error.message);
+            return;
+        }
+
+        const dialog = new LinearIssueActionsDialog({
+            title: issue.identifier,
+            description: notification.data.title ?? notification.title,
+            issue,
+            states,
+            onUpdate: change => this.updateIssue(issue, change, accountId),
+            onArchive: () => this.archiveNotifications(notificationIds, accountId, notification)
+        });
+
+        dialog.open();
+    }
+
+    /**
+     * Apply a change from the issue actions dialog and confirm it
+     * @param {Object} change - `{ stateId }`, `{ priority }` or `{ assignToMe: true }`
+     */
+    async updateIssue(issue, change, accountId) {
+        const linearClient = this.getConnectedClient(accountId);
+        let input;
+
+        if (change.assignToMe) {
+            input = { assigneeId: await linearClient.getViewerId() };
+        } else {
+            input = change;
+        }
+
+        const updatedIssue = await linearClient.updateIssue(issue.id, input);
+        this.logger.debug(`Updated ${updatedIssue.identifier}:`, JSON.stringify(input));
+
+        // Keep the cached issue current for the next time the dialog opens
+        issue.state = updatedIssue.state;
+        issue.priority = updatedIssue.priority;
+
+        if (change.stateId) {
+            this.showTransientNotification(`${updatedIssue.identifier} moved to ${updatedIssue.state.name}`);
+        } else if (change.assignToMe) {
+            this.showTransientNotification(`${updatedIssue.identifier} assigned to you`);
+        } else {
+            this.showTransientNotification(`${updatedIssue.identifier} priority set to ${updatedIssue.priorityLabel}`);
+        }
+    }
+
+    /**
+     * Archive notifications and offer to undo it
+     * @param {Object|null} notification - the notification shown for them, shown again on undo
+     */
+    async archiveNotifications(notificationIds, accountId, notification = null) {
+        try {
+            for (const notificationId of notificationIds) {
+                await this.archiveNotification(notificationId, accountId);
+            }
+        } catch (error) {
+            this.showErrorNotification('Could not archive Linear notification', error.message);
+            return;
+        }
+
+        this.showTransientNotification(
+            notificationIds.length === 1 ? 'Notification archived' : `${notificationIds.length} notifications archived`,
+            'Undo',
+            () => this.unarchiveNotifications(notificationIds, accountId, notification)
+        );
+    }
+
+    /**
+     * Archive a notification in Linear
+     */
+    async archiveNotification(notificationId, accountId) {
+        try {
+            const linearClient = this.getConnectedClient(accountId);
+            const result = await linearClient.archiveNotification(notificationId);
+            if (!result?.success) {
+                throw new Error('Linear did not archive the notification');
+            }
+
+            this.extension.notificationStore?.updateState(notificationId, { archivedAt: new Date().toISOString() });
+            this.withdrawNotification(notificationId);
+            this.logger.debug(`Archived notification ${notificationId}`);
+        } catch (error) {
+            this.logger.error('Failed to archive notification:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Restore archived notifications and show them again, rebuilt from the
+     * notification store if the original notification is unknown
+     */
+    async unarchiveNotifications(notificationIds, accountId, notification = null) {
+        try {
+            const linearClient = this.getConnectedClient(accountId);
+
+            for (const notificationId of notificationIds) {
+                const result = await linearClient.unarchiveNotification(notificationId);
+                if (!result?.success) {
+                    throw new Error('Linear did not restore the notification');
+                }
+
+                this.extension.notificationStore?.updateState(notificationId, { archivedAt: null });
+                this.logger.debug(`Unarchived notification ${notificationId}`);
+            }
+        } catch (error) {
+            this.logger.error('Failed to unarchive notification:', error);
+            this.showErrorNotification('Could not restore Linear notification', error.message);
+            return;
+        }
+
+        const notifications = notification
+            ? [notification]
+            : notificationIds
+                .map(notificationId => this.extension.notificationStore?.get(notificationId))
+                .filter(Boolean)
+                .map(entry => this.createNotificationFromEntry(entry));
+
+        notifications.forEach(restored => this.displayNotification({ ...restored, restored: true }));
+    }
+
+    /**
+     * Get the Linear API client of a connected account, or throw
+     */
+    getConnectedClient(accountId) {
+        const linearClient = this.extension.getLinearClient(accountId);
+        if (!linearClient) {
+            throw new Error('This Linear account is no longer connected');
+        }
+
+        return linearClient;
+    }
+
+    /**
+     * Show a short-lived confirmation with an optional action
+     */
+    showTransientNotification(title, actionLabel = null, callback = null) {
+        try {
+            this.executeWithSource((source) => {
+                const confirmation = new MessageTray.Notification({
+                    source: source,
+                    title: title,
+                    isTransient: true
+                });
+                if (actionLabel) {
+                    confirmation.addAction(actionLabel, callback);
+                }
+                source.addNotification(confirmation);
+            });
+        } catch (error) {
+            this.logger.error('Failed to show confirmation:', error);
+        }
+    }
+
+    showErrorNotification(title, message) {
+        try {
+            this.executeWithSource((source) => {
+                source.addNotification(new MessageTray.Notification({
+                    source: source,
+                    title: title,
+                    body: message,
+                    iconName: 'dialog-error-symbolic',
+                    isTransient: false
+                }));
+            });
+        } catch (error) {
+            this.logger.error('Failed to show error notification:', error);
         }
     }
 
     destroy() {
+        if (this.quietHoursTimeoutId) {
+            GLib.Source.remove(this.quietHoursTimeoutId);
+            this.quietHoursTimeoutId = null;
+        }
+        this.heldNotifications = [];
+        this.shownNotifications.clear();
+        this.desktopNotificationSettings = null;
+
         if (this.source) {
             try {
                 // Try to remove from message tray safely
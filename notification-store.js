@@ -0,0 +1,301 @@
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import { DEFAULT_ACCOUNT_ID } from './accounts.js';
+import { Logger } from './logger.js';
+
+const STORE_VERSION = 1;
+
+// Batch writes so a burst of notifications is saved once
+const SAVE_DELAY_SECONDS = 2;
+
+/**
+ * Persistent record of the Linear notifications handed to the notification
+ * manager, with their read/snoozed/archived/held state, and of each account's
+ * polling checkpoint
+ *
+ * Stored as JSON in the user data dir so de-duplication survives shell
+ * restarts, and entries older than `history-retention-days` are pruned.
+ */
+export class LinearNotificationStore {
+    constructor(settings) {
+        this.settings = settings;
+        this.entries = new Map();
+        this.checkpoints = {};
+        this.loaded = false;
+        this.saveTimeoutId = null;
+        this.saving = false;
+        this.savePending = false;
+        this.logger = new Logger('NotificationStore');
+
+        const directory = GLib.build_filenamev([GLib.get_user_data_dir(), 'linear-notifications']);
+        this.file = Gio.File.new_for_path(GLib.build_filenamev([directory, 'notifications.json']));
+    }
+
+    /**
+     * Read the store from disk; a missing or corrupt file starts an empty store
+     */
+    load() {
+        return new Promise(resolve => {
+            this.file.load_contents_async(null, (file, result) => {
+                try {
+                    const [, contents] = file.load_contents_finish(result);
+                    const data = JSON.parse(new TextDecoder().decode(contents));
+
+                    this.entries = new Map((data.notifications || []).map(entry => [entry.id, entry]));
+                    this.checkpoints = data.checkpoints || {};
+                    this.logger.debug(`Loaded ${this.entries.size} notifications`);
+                } catch (error) {
+                    if (!error.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                        this.logger.warn('Failed to read notification store, starting empty:', error.message);
+                    }
+                }
+
+                this.loaded = true;
+                const migrated = this.migrateLegacyCheckpoint();
+                if (this.prune() > 0 || migrated) {
+                    this.scheduleSave();
+                }
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Turn the `last-update-time` of single-account versions into the
+     * default account's checkpoint
+     * @returns {boolean} - whether a checkpoint was added
+     */
+    migrateLegacyCheckpoint() {
+        const lastUpdateTime = this.settings.get_string('last-update-time');
+        if (!lastUpdateTime) {
+            return false;
+        }
+
+        this.settings.reset('last-update-time');
+        if (this.checkpoints[DEFAULT_ACCOUNT_ID]) {
+            return false;
+        }
+
+        this.checkpoints[DEFAULT_ACCOUNT_ID] = { createdAt: lastUpdateTime, id: null };
+        this.logger.info('Migrated the last update time to the default account checkpoint');
+        return true;
+    }
+
+    /**
+     * Check whether a Linear notification was already delivered
+     */
+    has(notificationId) {
+        return this.entries.has(notificationId);
+    }
+
+    get(notificationId) {
+        return this.entries.get(notificationId) || null;
+    }
+
+    /**
+     * Record a notification handed to the notification manager
+     */
+    recordDelivered(notification) {
+        const { notificationId, notificationType, accountId, readAt, snoozedUntilAt } = notification.data;
+
+        this.entries.set(notificationId, {
+            id: notificationId,
+            accountId,
+            type: notificationType,
+            title: notification.title,
+            body: notification.body,
+            url: notification.url,
+            createdAt: notification.timestamp.toISOString(),
+            deliveredAt: new Date().toISOString(),
+            readAt: readAt || null,
+            snoozedUntilAt: snoozedUntilAt || null,
+            archivedAt: null
+        });
+
+        this.scheduleSave();
+    }
+
+    /**
+     * Update the read/snoozed/archived state of a delivered notification
+     * @param {Object} changes - any of readAt, snoozedUntilAt, archivedAt, heldAt
+     */
+    updateState(notificationId, changes) {
+        const entry = this.entries.get(notificationId);
+        if (!entry) {
+            return;
+        }
+
+        this.entries.set(notificationId, { ...entry, ...changes });
+        this.scheduleSave();
+    }
+
+    /**
+     * Notifications whose snooze time has passed and that are still unhandled
+     */
+    getDueSnoozed(accountId, now = new Date()) {
+        return [...this.entries.values()].filter(entry =>
+            entry.accountId === accountId &&
+            entry.snoozedUntilAt &&
+            new Date(entry.snoozedUntilAt).getTime() <= now.getTime() &&
+            !entry.readAt &&
+            !entry.archivedAt);
+    }
+
+    /**
+     * Notifications held back during quiet hours and still unhandled, oldest first
+     */
+    getHeld() {
+        return [...this.entries.values()]
+            .filter(entry => entry.heldAt && !entry.readAt && !entry.archivedAt)
+            .sort((a, b) => new Date(a.heldAt).getTime() - new Date(b.heldAt).getTime());
+    }
+
+    /**
+     * Delivered notifications, newest first (for history views)
+     * @param {string|null} accountId - only return notifications of this account
+     */
+    getHistory(accountId = null, limit = 50) {
+        return [...this.entries.values()]
+            .filter(entry => !accountId || entry.accountId === accountId)
+            .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime())
+            .slice(0, limit);
+    }
+
+    count(accountId = null) {
+        return this.getHistory(accountId, Infinity).length;
+    }
+
+    /**
+     * Newest server notification delivered for an account
+     * @returns {{createdAt: string, id: string}|null}
+     */
+    getCheckpoint(accountId) {
+        return this.checkpoints[accountId] || null;
+    }
+
+    setCheckpoint(accountId, checkpoint) {
+        const current = this.checkpoints[accountId];
+        if (current?.createdAt === checkpoint.createdAt && current?.id === checkpoint.id) {
+            return;
+        }
+
+        this.checkpoints[accountId] = checkpoint;
+        this.scheduleSave();
+    }
+
+    /**
+     * Forget all notifications and the checkpoint of an account
+     */
+    clearAccount(accountId) {
+        for (const [notificationId, entry] of this.entries) {
+            if (entry.accountId === accountId) {
+                this.entries.delete(notificationId);
+            }
+        }
+
+        delete this.checkpoints[accountId];
+
+        this.scheduleSave();
+    }
+
+    /**
+     * Drop notifications delivered longer ago than the retention period
+     * @returns {number} - number of pruned notifications
+     */
+    prune() {
+        const retentionDays = this.settings.get_int('history-retention-days');
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        const sizeBefore = this.entries.size;
+
+        for (const [notificationId, entry] of this.entries) {
+            if (new Date(entry.deliveredAt).getTime() < cutoff) {
+                this.entries.delete(notificationId);
+            }
+        }
+
+        const prunedCount = sizeBefore - this.entries.size;
+        if (prunedCount > 0) {
+            this.logger.debug(`Pruned ${prunedCount} old notifications`);
+        }
+
+        return prunedCount;
+    }
+
+    scheduleSave() {
+        if (this.saveTimeoutId) {
+            return;
+        }
+
+        this.saveTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, SAVE_DELAY_SECONDS, () => {
+            this.saveTimeoutId = null;
+            this.save();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    /**
+     * Write the store to disk, serializing overlapping writes
+     */
+    save() {
+        // Never overwrite the file with an empty store before it was read
+        if (!this.loaded) {
+            return;
+        }
+
+        if (this.saving) {
+            this.savePending = true;
+            return;
+        }
+
+        this.saving = true;
+        this.prune();
+
+        try {
+            const directory = this.file.get_parent();
+            if (!directory.query_exists(null)) {
+                directory.make_directory_with_parents(null);
+            }
+        } catch (error) {
+            this.logger.error('Failed to create data directory:', error.message);
+        }
+
+        const data = {
+            version: STORE_VERSION,
+            checkpoints: this.checkpoints,
+            notifications: [...this.entries.values()]
+        };
+        const bytes = new GLib.Bytes(new TextEncoder().encode(JSON.stringify(data)));
+
+        this.file.replace_contents_bytes_async(
+            bytes,
+            null,
+            false,
+            Gio.FileCreateFlags.REPLACE_DESTINATION,
+            null,
+            (file, result) => {
+                try {
+                    file.replace_contents_finish(result);
+                } catch (error) {
+                    this.logger.error('Failed to save notification store:', error.message);
+                }
+
+                this.saving = false;
+                if (this.savePending) {
+                    this.savePending = false;
+                    this.save();
+                }
+            }
+        );
+    }
+
+    /**
+     * Flush pending changes to disk
+     */
+    destroy() {
+        if (this.saveTimeoutId) {
+            GLib.Source.remove(this.saveTimeoutId);
+            this.saveTimeoutId = null;
+            this.save();
+        }
+    }
+}
\ No newline at end of file
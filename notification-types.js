@@ -0,0 +1,180 @@
+import GLib from 'gi://GLib';
+
+import { loadAccounts, saveAccounts } from './accounts.js';
+
+/**
+ * Registry of the notification types the extension knows about
+ *
+ * Each entry groups one or more Linear notification types under an ID used
+ * for the per-type settings. Linear types not listed here fall back to the
+ * `other` type. Preference toggles and filters are generated from this list.
+ */
+export const NOTIFICATION_TYPES = [
+    {
+        id: 'assigned',
+        title: 'Assigned to you',
+        icon: '👤',
+        linearTypes: ['issueAssignedToYou', 'issueAssigned']
+    },
+    {
+        id: 'unassigned',
+        title: 'Unassigned from you',
+        icon: '👤',
+        linearTypes: ['issueUnassignedFromYou', 'issueUnassigned']
+    },
+    {
+        id: 'issue-created',
+        title: 'New issues',
+        icon: '➕',
+        linearTypes: ['issueCreated']
+    },
+    {
+        id: 'comment',
+        title: 'Comments',
+        icon: '💬',
+        linearTypes: ['issueNewComment', 'issueCommentCreated']
+    },
+    {
+        id: 'mention',
+        title: 'Mentions',
+        icon: '@',
+        linearTypes: ['issueMention', 'issueCommentMention', 'issueMentioned']
+    },
+    {
+        id: 'reaction',
+        title: 'Reactions',
+        icon: '👍',
+        linearTypes: ['issueCommentReaction', 'issueEmojiReaction']
+    },
+    {
+        id: 'status-change',
+        title: 'Status changes',
+        icon: '📋',
+        linearTypes: ['issueStatusChanged']
+    },
+    {
+        id: 'subscribed-update',
+        title: 'Subscribed issue updates',
+        icon: '🔔',
+        linearTypes: ['issueStatusChangedAll', 'issueSubscribed']
+    },
+    {
+        id: 'urgent',
+        title: 'Urgent priority',
+        icon: '🔥',
+        linearTypes: ['issuePriorityUrgent']
+    },
+    {
+        id: 'due-date',
+        title: 'Due date reminders',
+        icon: '📅',
+        linearTypes: ['issueDue', 'issueReminder']
+    },
+    {
+        id: 'blocking',
+        title: 'Blocking issues',
+        icon: '⛔',
+        linearTypes: ['issueBlocking', 'issueUnblocked']
+    },
+    {
+        id: 'triage',
+        title: 'Triage',
+        icon: '🔍',
+        linearTypes: ['triageResponsibilityIssueAddedToTriage', 'issueAddedToTriage']
+    },
+    {
+        id: 'view',
+        title: 'Added to views',
+        icon: '📁',
+        linearTypes: ['issueAddedToView']
+    },
+    {
+        id: 'sla',
+        title: 'SLA alerts',
+        icon: '⏱',
+        linearTypes: ['issueSlaBreached', 'issueSlaHighRisk']
+    },
+    {
+        id: 'project-update',
+        title: 'Project updates',
+        icon: '📈',
+        linearTypes: [
+            'projectUpdateCreated',
+            'projectUpdateMentionPrompt',
+            'projectUpdateNewComment',
+            'projectUpdateCommentMention',
+            'projectUpdateReaction'
+        ]
+    },
+    {
+        id: 'project',
+        title: 'Project membership',
+        icon: '📦',
+        linearTypes: ['projectAddedAsMember', 'projectAddedAsLead']
+    },
+    {
+        id: 'document',
+        title: 'Documents',
+        icon: '📄',
+        linearTypes: ['documentMention', 'documentCommentMention', 'documentNewComment', 'documentReaction']
+    },
+    {
+        id: 'other',
+        title: 'Other notifications',
+        icon: '',
+        linearTypes: []
+    }
+];
+
+const OTHER_TYPE = NOTIFICATION_TYPES.find(type => type.id === 'other');
+
+// Boolean settings of older versions and the types they covered
+const LEGACY_TYPE_KEYS = {
+    'notify-new-issues': ['issue-created'],
+    'notify-issue-updates': ['subscribed-update'],
+    'notify-assigned-issues': ['assigned', 'unassigned'],
+    'notify-comments': ['comment'],
+    'notify-mentions': ['mention'],
+    'notify-status-changes': ['status-change']
+};
+
+/**
+ * Get the registry entry of a Linear notification type
+ */
+export function getNotificationType(linearType) {
+    return NOTIFICATION_TYPES.find(type => type.linearTypes.includes(linearType)) || OTHER_TYPE;
+}
+
+/**
+ * Move the per-type booleans of older versions, globally and in account
+ * filters, to the `disabled-notification-types` list and type IDs
+ */
+export function migrateTypeSettings(settings) {
+    if (settings.get_user_value('disabled-notification-types') !== null) {
+        return;
+    }
+
+    const disabledTypes = [];
+
+    for (const [key, typeIds] of Object.entries(LEGACY_TYPE_KEYS)) {
+        if (!settings.get_boolean(key)) {
+            disabledTypes.push(...typeIds);
+        }
+        settings.reset(key);
+    }
+
+    const accounts = loadAccounts(settings).map(account => {
+        const filters = {};
+
+        for (const [key, value] of Object.entries(account.filters || {})) {
+            for (const typeId of LEGACY_TYPE_KEYS[key] ?? [key]) {
+                filters[typeId] = value;
+            }
+        }
+
+        return { ...account, filters };
+    });
+
+    saveAccounts(settings, accounts);
+    settings.set_value('disabled-notification-types', new GLib.Variant('as', disabledTypes));
+}
\ No newline at end of file
@@ -1,8 +1,28 @@
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
 import Soup from 'gi://Soup';
+import { getAccount, updateAccount } from './accounts.js';
 import { Logger } from './logger.js';
 
+// Give up on an unfinished browser flow after five minutes
+const AUTH_FLOW_TIMEOUT_SECONDS = 300;
+
+// Keep the callback server up briefly so the browser can load the result page
+const SERVER_SHUTDOWN_DELAY_SECONDS = 5;
+
+// Random bytes in the state and PKCE code verifier (43 characters once encoded)
+const RANDOM_TOKEN_BYTES = 32;
+
+/**
+ * Base64url encoding without padding (RFC 4648 section 5)
+ */
+function base64UrlEncode(bytes) {
+    return GLib.base64_encode(bytes)
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
 /**
  * Linear OAuth Handler for GNOME Shell Extension
  * Implements OAuth 2.0 flow for Linear API authentication
@@ -11,18 +31,27 @@ export class LinearOAuthHandler {
     constructor(extension) {
         this.extension = extension;
         this.settings = extension.getSettings();
+        this.credentials = extension.credentialStore;
         this.httpSession = new Soup.Session();
         this.logger = new Logger('OAuthHandler');
 
         // OAuth configuration
         this.redirectUri = 'http://localhost:8080/callback';
-        this.scope = 'read';
+        // Write access is needed to reply to comments and update notifications
+        this.scope = 'read,write';
         this.authUrl = 'https://linear.app/oauth/authorize';
         this.tokenUrl = 'https://api.linear.app/oauth/token';
 
         // Local server for handling OAuth callback
         this.server = null;
         this.serverPort = 8080;
+        this.shutdownTimeoutId = null;
+
+        // State of the in-progress authorization flow
+        this.pendingFlow = null;
+        this.flowAccountId = null;
+        this.codeVerifier = null;
+        this.flowTimeoutId = null;
 
         this.logger.debug('LinearOAuthHandler initialized');
     }
@@ -35,10 +64,10 @@ export class LinearOAuthHandler {
     }
 
     /**
-     * Get client secret from settings
+     * Get client secret from the keyring
      */
     get clientSecret() {
-        return this.settings.get_string('oauth-client-secret');
+        return this.credentials.get(null, 'oauth-client-secret');
     }
 
     /**
@@ -59,11 +88,11 @@ export class LinearOAuthHandler {
     }
 
     /**
-     * Check if user is authenticated
+     * Check if an account has a valid OAuth access token
      */
-    isAuthenticated() {
-        const token = this.settings.get_string('oauth-token');
-        const expiresAt = this.settings.get_string('token-expires-at');
+    isAuthenticated(accountId) {
+        const token = this.credentials.get(accountId, 'oauth-token');
+        const expiresAt = getAccount(this.settings, accountId)?.tokenExpiresAt;
 
         if (!token || !expiresAt) {
             return false;
@@ -84,65 +113,172 @@ export class LinearOAuthHandler {
     /**
      * Get current access token
      */
-    getAccessToken() {
-        if (!this.isAuthenticated()) {
+    getAccessToken(accountId) {
+        if (!this.isAuthenticated(accountId)) {
             return null;
         }
-        return this.settings.get_string('oauth-token');
+        return this.credentials.get(accountId, 'oauth-token');
     }
 
     /**
-     * Start OAuth authentication flow
+     * Start OAuth authentication flow for an account
+     * Resolves once the browser flow has completed and the token is stored
      */
-    async startAuthFlow() {
+    async startAuthFlow(accountId) {
+        // Abandon any previous, unfinished flow
+        this.cancelAuthFlow('Superseded by a new authentication attempt');
+
         try {
-            console.log('Starting Linear OAuth flow...');
+            this.logger.info(`Starting Linear OAuth flow for account ${accountId}...`);
+            this.flowAccountId = accountId;
 
             // Generate a random state parameter for CSRF protection
             const state = this.generateRandomState();
             this.settings.set_string('oauth-state', state);
 
+            // Generate PKCE verifier so no client secret is required
+            this.codeVerifier = this.generateCodeVerifier();
+            const codeChallenge = this.generateCodeChallenge(this.codeVerifier);
+
             // Start local callback server
             await this.startCallbackServer();
 
+            const flowResult = new Promise((resolve, reject) => {
+                this.pendingFlow = { resolve, reject };
+            });
+
+            // Clean up if the browser flow is abandoned
+            this.flowTimeoutId = GLib.timeout_add_seconds(
+                GLib.PRIORITY_DEFAULT,
+                AUTH_FLOW_TIMEOUT_SECONDS,
+                () => {
+                    this.flowTimeoutId = null;
+                    this.logger.warn('OAuth flow timed out');
+                    this.cancelAuthFlow('Authentication timed out - please try again');
+                    return GLib.SOURCE_REMOVE;
+                }
+            );
+
             // Build authorization URL
-            const authUrl = this.buildAuthorizationUrl(state);
+            const authUrl = this.buildAuthorizationUrl(state, codeChallenge);
 
             // Open authorization URL in default browser
-            console.log('Opening authorization URL:', authUrl);
+            this.logger.debug('Opening authorization URL:', authUrl);
             Gio.AppInfo.launch_default_for_uri(authUrl, null);
 
-            return true;
+            return flowResult;
         } catch (error) {
-            console.error('Failed to start OAuth flow:', error);
+            this.logger.error('Failed to start OAuth flow:', error.message);
+            this.clearFlowState();
             this.stopCallbackServer();
             throw error;
         }
     }
 
+    /**
+     * Finish the pending flow successfully
+     */
+    completeAuthFlow(tokenData) {
+        const pendingFlow = this.pendingFlow;
+        this.clearFlowState();
+        this.scheduleServerShutdown();
+
+        pendingFlow?.resolve(tokenData);
+    }
+
+    /**
+     * Abort the pending flow (if any) and release the callback server
+     */
+    cancelAuthFlow(reason) {
+        const pendingFlow = this.pendingFlow;
+        this.clearFlowState();
+        this.stopCallbackServer();
+
+        pendingFlow?.reject(new Error(reason));
+    }
+
+    /**
+     * Fail the pending flow from within a request handler, keeping the
+     * server alive long enough to deliver the error page
+     */
+    failAuthFlow(error) {
+        const pendingFlow = this.pendingFlow;
+        this.clearFlowState();
+        this.scheduleServerShutdown();
+
+        pendingFlow?.reject(error);
+    }
+
+    clearFlowState() {
+        if (this.flowTimeoutId) {
+            GLib.Source.remove(this.flowTimeoutId);
+            this.flowTimeoutId = null;
+        }
+
+        this.pendingFlow = null;
+        this.flowAccountId = null;
+        this.codeVerifier = null;
+        this.settings.set_string('oauth-state', '');
+    }
+
     /**
      * Generate random state parameter
      */
     generateRandomState() {
-        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-        let result = '';
-        for (let i = 0; i < 32; i++) {
-            result += chars.charAt(Math.floor(Math.random() * chars.length));
+        return this.generateRandomToken(RANDOM_TOKEN_BYTES);
+    }
+
+    /**
+     * Generate PKCE code verifier (RFC 7636, 43-128 unreserved characters)
+     */
+    generateCodeVerifier() {
+        return this.generateRandomToken(RANDOM_TOKEN_BYTES);
+    }
+
+    /**
+     * Base64url-encode bytes from the kernel's cryptographic random source
+     */
+    generateRandomToken(byteCount) {
+        const stream = Gio.File.new_for_path('/dev/urandom').read(null);
+
+        try {
+            const bytes = stream.read_bytes(byteCount, null).toArray();
+            if (bytes.length !== byteCount) {
+                throw new Error('Could not read enough random bytes');
+            }
+
+            return base64UrlEncode(bytes);
+        } finally {
+            stream.close(null);
         }
-        return result;
+    }
+
+    /**
+     * Derive the S256 PKCE code challenge: base64url(sha256(verifier))
+     */
+    generateCodeChallenge(verifier) {
+        const checksum = new GLib.Checksum(GLib.ChecksumType.SHA256);
+        checksum.update(new TextEncoder().encode(verifier));
+
+        const hexDigest = checksum.get_string();
+        const digest = new Uint8Array(hexDigest.match(/.{2}/g).map(byte => parseInt(byte, 16)));
+
+        return base64UrlEncode(digest);
     }
 
     /**
      * Build authorization URL
      */
-    buildAuthorizationUrl(state) {
+    buildAuthorizationUrl(state, codeChallenge) {
         // Manual URL parameter building since URLSearchParams is not available in GJS
         const params = [
             `response_type=code`,
             `client_id=${encodeURIComponent(this.clientId)}`,
             `redirect_uri=${encodeURIComponent(this.redirectUri)}`,
             `scope=${encodeURIComponent(this.scope)}`,
-            `state=${encodeURIComponent(state)}`
+            `state=${encodeURIComponent(state)}`,
+            `code_challenge=${encodeURIComponent(codeChallenge)}`,
+            `code_challenge_method=S256`
         ];
 
         return `${this.authUrl}?${params.join('&')}`;
@@ -154,114 +290,139 @@ export class LinearOAuthHandler {
     async startCallbackServer() {
         return new Promise((resolve, reject) => {
             try {
-                console.log('Creating Soup server...');
-                // Create HTTP server
                 this.server = new Soup.Server();
-                console.log('Soup server created:', !!this.server);
-
-                // Add callback handler
-                console.log('Adding callback handler...');
-                this.server.add_handler('/callback', (server, msg, path, query, context) => {
-                    try {
-                        console.log('Callback handler called');
-                        console.log('Arguments count:', arguments.length);
-                        console.log('msg type:', typeof msg);
-
-                        // Simple response without calling other methods
-                        msg.set_status(200, 'OK');
-                        msg.response_headers.set_content_type('text/html', null);
-                        msg.response_body.append('<!DOCTYPE html><html><head><title>Test</title></head><body><h1>Callback received!</h1></body></html>');
 
-                        console.log('Response set successfully');
-                    } catch (error) {
-                        console.error('Error in callback handler:', error);
-                        try {
-                            msg.set_status(500, 'Handler Error');
-                            msg.response_headers.set_content_type('text/plain', null);
-                            msg.response_body.append(`Handler Error: ${error.message}`);
-                        } catch (innerError) {
-                            console.error('Error setting error response:', innerError);
-                        }
-                    }
+                this.server.add_handler('/callback', (server, msg) => {
+                    this.handleOAuthCallback(msg);
                 });
 
-                // Add success page handler
-                this.server.add_handler('/success', (server, msg, path, query) => {
-                    const successHtml = `
-                        <!DOCTYPE html>
-                        <html>
-                        <head>
-                            <title>Linear Authentication Successful</title>
-                            <style>
-                                body { font-family: Arial, sans-serif; text-align: center; padding: 50px; }
-                                .success { color: #28a745; font-size: 24px; margin-bottom: 20px; }
-                                .message { color: #666; font-size: 16px; }
-                            </style>
-                        </head>
-                        <body>
-                            <div class="success">Authentication Successful!</div>
-                            <div class="message">
-                                You have successfully connected your Linear account to GNOME Desktop Notifications.
-                                <br><br>
-                                You can now close this window and return to your desktop.
-                            </div>
-                        </body>
-                        </html>
-                    `;
-
-                    msg.set_status(200, 'OK');
-                    msg.response_headers.set_content_type('text/html', null);
-                    msg.response_body.append(successHtml);
+                this.server.add_handler('/success', (server, msg) => {
+                    this.sendPage(msg, 200, 'Authentication Successful!',
+                        'You have successfully connected your Linear account to GNOME Desktop Notifications.' +
+                        '<br><br>You can now close this window and return to your desktop.');
+                    this.scheduleServerShutdown();
                 });
 
                 // Listen on localhost
-                console.log('Starting server listen on port:', this.serverPort);
                 this.server.listen_local(this.serverPort, Soup.ServerListenOptions.IPV4_ONLY);
-                console.log(`OAuth callback server started on port ${this.serverPort}`);
+                this.logger.info(`OAuth callback server started on port ${this.serverPort}`);
                 resolve();
             } catch (error) {
-                console.error('Failed to start callback server:', error);
+                this.logger.error('Failed to start callback server:', error.message);
+                this.server = null;
                 reject(error);
             }
         });
     }
 
     /**
-     * Handle OAuth callback from Linear
+     * Handle OAuth callback from Linear: validate state, exchange the code
+     * and redirect the browser to the result page
      */
-    handleOAuthCallback(msg, query) {
-        try {
-            console.log('Received OAuth callback. Query object:', query);
-            console.log('Query toString:', query?.toString());
-
-            // For debugging, let's start with a simple response
-            msg.set_status(200, 'OK');
-            msg.response_headers.set_content_type('text/html', null);
-            msg.response_body.append(`
-                <!DOCTYPE html>
-                <html>
-                <head><title>OAuth Callback Debug</title></head>
-                <body>
-                    <h1>OAuth Callback Received</h1>
-                    <p>Query: ${query?.toString() || 'No query'}</p>
-                    <p>This is a debug response to test the callback.</p>
-                </body>
-                </html>
-            `);
-
-            console.log('OAuth callback response sent successfully');
-        } catch (error) {
-            console.error('Error handling OAuth callback:', error);
-            msg.set_status(500, 'Internal Error');
-            msg.response_headers.set_content_type('text/plain', null);
-            msg.response_body.append(`Internal error: ${error.message}`);
+    handleOAuthCallback(msg) {
+        const params = this.parseQueryString(msg.get_uri().get_query());
+
+        if (!this.pendingFlow) {
+            this.sendPage(msg, 400, 'Authentication Failed',
+                'No Linear authentication is in progress. Please start again from the extension preferences.', true);
+            return;
+        }
+
+        if (params.error) {
+            const reason = params.error_description || params.error;
+            this.sendPage(msg, 400, 'Authentication Failed', this.escapeHtml(reason), true);
+            this.failAuthFlow(new Error(`Authorization denied: ${reason}`));
+            return;
+        }
+
+        const expectedState = this.settings.get_string('oauth-state');
+        if (!params.state || params.state !== expectedState) {
+            this.logger.warn('OAuth callback state mismatch, rejecting');
+            this.sendPage(msg, 400, 'Authentication Failed',
+                'The authorization response did not match this request. Please try again.', true);
+            this.failAuthFlow(new Error('OAuth state mismatch'));
+            return;
+        }
+
+        if (!params.code) {
+            this.sendPage(msg, 400, 'Authentication Failed', 'No authorization code was received.', true);
+            this.failAuthFlow(new Error('No authorization code received'));
+            return;
+        }
+
+        // Hold the response until the token exchange finishes
+        msg.pause();
+
+        this.exchangeCodeForToken(params.code, this.codeVerifier, this.flowAccountId)
+            .then(tokenData => {
+                msg.set_redirect(Soup.Status.FOUND, '/success');
+                msg.unpause();
+                this.completeAuthFlow(tokenData);
+            })
+            .catch(error => {
+                this.logger.error('Token exchange failed:', error.message);
+                this.sendPage(msg, 500, 'Authentication Failed', this.escapeHtml(error.message), true);
+                msg.unpause();
+                this.failAuthFlow(error);
+            });
+    }
+
+    /**
+     * Respond with a small HTML status page
+     */
+    sendPage(msg, status, heading, message, isError = false) {
+        const html = `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>Linear ${isError ? 'Authentication Failed' : 'Authentication Successful'}</title>
+                <style>
+                    body { font-family: Arial, sans-serif; text-align: center; padding: 50px; }
+                    .success { color: #28a745; font-size: 24px; margin-bottom: 20px; }
+                    .error { color: #dc3545; font-size: 24px; margin-bottom: 20px; }
+                    .message { color: #666; font-size: 16px; }
+                </style>
+            </head>
+            <body>
+                <div class="${isError ? 'error' : 'success'}">${heading}</div>
+                <div class="message">${message}</div>
+            </body>
+            </html>
+        `;
+
+        msg.set_status(status, null);
+        msg.set_response('text/html', Soup.MemoryUse.COPY, new TextEncoder().encode(html));
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Build the form body for a token endpoint request.
+     * The client secret is only sent when configured; PKCE covers public clients.
+     */
+    buildTokenRequestBody(params) {
+        const formParams = [
+            ...params,
+            `client_id=${encodeURIComponent(this.clientId)}`
+        ];
+
+        if (this.clientSecret) {
+            formParams.push(`client_secret=${encodeURIComponent(this.clientSecret)}`);
         }
+
+        return formParams.join('&');
     }
 
     /**
-     * Exchange authorization code for access token
+     * Exchange authorization code for access token and store it for the account
      */
-    async exchangeCodeForToken(code) {
+    async exchangeCodeForToken(code, codeVerifier, accountId) {
         return new Promise((resolve, reject) => {
             const message = Soup.Message.new('POST', this.tokenUrl);
 
@@ -272,18 +433,20 @@ export class LinearOAuthHandler {
             // Prepare form data manually
             const formParams = [
                 `grant_type=authorization_code`,
-                `client_id=${encodeURIComponent(this.clientId)}`,
-                `client_secret=${encodeURIComponent(this.clientSecret)}`,
                 `code=${encodeURIComponent(code)}`,
                 `redirect_uri=${encodeURIComponent(this.redirectUri)}`
             ];
 
+            if (codeVerifier) {
+                formParams.push(`code_verifier=${encodeURIComponent(codeVerifier)}`);
+            }
+
             // Set request body
-            const bodyText = formParams.join('&');
+            const bodyText = this.buildTokenRequestBody(formParams);
             const bodyBytes = new TextEncoder().encode(bodyText);
             message.set_request_body_from_bytes('application/x-www-form-urlencoded', new GLib.Bytes(bodyBytes));
 
-            console.log('Exchanging authorization code for token...');
+            this.logger.debug('Exchanging authorization code for token...');
 
             this.httpSession.send_and_read_async(
                 message,
@@ -294,7 +457,7 @@ export class LinearOAuthHandler {
                         const bytes = session.send_and_read_finish(result);
                         const responseText = new TextDecoder().decode(bytes.get_data() || new Uint8Array());
 
-                        console.log('Token exchange response status:', message.get_status());
+                        this.logger.debug('Token exchange response status:', message.get_status());
 
                         if (message.get_status() !== Soup.Status.OK) {
                             reject(new Error(`HTTP ${message.get_status()}: ${responseText}`));
@@ -308,31 +471,14 @@ export class LinearOAuthHandler {
                             return;
                         }
 
-                        // Store access token and expiry
-                        this.settings.set_string('oauth-token', tokenData.access_token);
-
-                        // Calculate expiry time
-                        const expiresIn = tokenData.expires_in || 86400; // Default 24 hours
-                        const expiresAt = new Date(Date.now() + (expiresIn * 1000)).toISOString();
-                        this.settings.set_string('token-expires-at', expiresAt);
-
-                        // Store refresh token if available
-                        if (tokenData.refresh_token) {
-                            this.settings.set_string('refresh-token', tokenData.refresh_token);
-                        }
-
-                        console.log('OAuth token obtained successfully');
-                        console.log('Token expires at:', expiresAt);
-
-                        // Clear state
-                        this.settings.set_string('oauth-state', '');
-
-                        // Emit authentication success signal
-                        this.extension.emit('oauth-success');
-
-                        resolve(tokenData);
+                        this.storeTokens(accountId, tokenData)
+                            .then(expiresAt => {
+                                this.logger.info(`OAuth token obtained successfully, expires at ${expiresAt}`);
+                                resolve(tokenData);
+                            })
+                            .catch(reject);
                     } catch (error) {
-                        console.error('Error processing token response:', error);
+                        this.logger.error('Error processing token response:', error.message);
                         reject(error);
                     }
                 }
@@ -340,22 +486,62 @@ export class LinearOAuthHandler {
         });
     }
 
+    /**
+     * Shut the callback server down once the current response has been sent
+     */
+    scheduleServerShutdown() {
+        if (this.shutdownTimeoutId) {
+            return;
+        }
+
+        this.shutdownTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, SERVER_SHUTDOWN_DELAY_SECONDS, () => {
+            this.shutdownTimeoutId = null;
+            this.stopCallbackServer();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    /**
+     * Store a token endpoint response: tokens go to the keyring, the expiry to the account
+     * @returns {Promise<string>} - ISO timestamp when the access token expires
+     */
+    async storeTokens(accountId, tokenData) {
+        const expiresIn = tokenData.expires_in || 86400; // Default 24 hours
+        const expiresAt = new Date(Date.now() + (expiresIn * 1000)).toISOString();
+
+        // Store the expiry first so token change listeners see a valid expiry
+        updateAccount(this.settings, accountId, { tokenExpiresAt: expiresAt });
+        await this.credentials.set(accountId, 'oauth-token', tokenData.access_token);
+
+        // Store refresh token if available
+        if (tokenData.refresh_token) {
+            await this.credentials.set(accountId, 'refresh-token', tokenData.refresh_token);
+        }
+
+        return expiresAt;
+    }
+
     /**
      * Stop OAuth callback server
      */
     stopCallbackServer() {
+        if (this.shutdownTimeoutId) {
+            GLib.Source.remove(this.shutdownTimeoutId);
+            this.shutdownTimeoutId = null;
+        }
+
         if (this.server) {
-            console.log('Stopping OAuth callback server...');
+            this.logger.info('Stopping OAuth callback server...');
             this.server.disconnect();
             this.server = null;
         }
     }
 
     /**
-     * Refresh access token using refresh token
+     * Refresh an account's access token using its refresh token
      */
-    async refreshToken() {
-        const refreshToken = this.settings.get_string('refresh-token');
+    async refreshToken(accountId) {
+        const refreshToken = this.credentials.get(accountId, 'refresh-token');
         if (!refreshToken) {
             throw new Error('No refresh token available');
         }
@@ -370,13 +556,11 @@ export class LinearOAuthHandler {
             // Prepare form data manually
             const formParams = [
                 `grant_type=refresh_token`,
-                `client_id=${encodeURIComponent(this.clientId)}`,
-                `client_secret=${encodeURIComponent(this.clientSecret)}`,
                 `refresh_token=${encodeURIComponent(refreshToken)}`
             ];
 
             // Set request body
-            const bodyText = formParams.join('&');
+            const bodyText = this.buildTokenRequestBody(formParams);
             const bodyBytes = new TextEncoder().encode(bodyText);
             message.set_request_body_from_bytes('application/x-www-form-urlencoded', new GLib.Bytes(bodyBytes));
 
@@ -391,31 +575,33 @@ export class LinearOAuthHandler {
                         const bytes = session.send_and_read_finish(result);
                         const responseText = new TextDecoder().decode(bytes.get_data() || new Uint8Array());
 
-                        if (message.get_status() !== Soup.Status.OK) {
-                            reject(new Error(`HTTP ${message.get_status()}: ${responseText}`));
+                        const status = message.get_status();
+
+                        if (status !== Soup.Status.OK) {
+                            const error = new Error(`HTTP ${status}: ${responseText}`);
+                            // 400/401 from the token endpoint means the refresh token itself was rejected
+                            error.tokenRejected = status === Soup.Status.BAD_REQUEST ||
+                                                  status === Soup.Status.UNAUTHORIZED;
+                            reject(error);
                             return;
                         }
 
                         const tokenData = JSON.parse(responseText);
 
                         if (tokenData.error) {
-                            reject(new Error(`Token refresh error: ${tokenData.error_description || tokenData.error}`));
+                            const error = new Error(`Token refresh error: ${tokenData.error_description || tokenData.error}`);
+                            error.tokenRejected = true;
+                            reject(error);
                             return;
                         }
 
                         // Update stored tokens
-                        this.settings.set_string('oauth-token', tokenData.access_token);
-
-                        const expiresIn = tokenData.expires_in || 86400;
-                        const expiresAt = new Date(Date.now() + (expiresIn * 1000)).toISOString();
-                        this.settings.set_string('token-expires-at', expiresAt);
-
-                        if (tokenData.refresh_token) {
-                            this.settings.set_string('refresh-token', tokenData.refresh_token);
-                        }
-
-                        console.log('Access token refreshed successfully');
-                        resolve(tokenData);
+                        this.storeTokens(accountId, tokenData)
+                            .then(() => {
+                                console.log('Access token refreshed successfully');
+                                resolve(tokenData);
+                            })
+                            .catch(reject);
                     } catch (error) {
                         console.error('Error processing token refresh response:', error);
                         reject(error);
@@ -426,19 +612,33 @@ export class LinearOAuthHandler {
     }
 
     /**
-     * Revoke access token (logout)
+     * Drop the rejected refresh token and expire the access token so the
+     * preferences show the "please reconnect" state
      */
-    async logout() {
+    async markReconnectRequired(accountId) {
+        updateAccount(this.settings, accountId, { tokenExpiresAt: new Date().toISOString() });
+
+        try {
+            await this.credentials.set(accountId, 'refresh-token', '');
+        } catch (error) {
+            this.logger.warn('Failed to remove refresh token from keyring:', error.message);
+        }
+    }
+
+    /**
+     * Revoke an account's access token (logout)
+     */
+    async logout(accountId) {
         console.log('Logging out from Linear...');
 
         // Clear stored tokens
-        this.settings.set_string('oauth-token', '');
-        this.settings.set_string('refresh-token', '');
-        this.settings.set_string('token-expires-at', '');
+        await this.credentials.set(accountId, 'oauth-token', '');
+        await this.credentials.set(accountId, 'refresh-token', '');
+        updateAccount(this.settings, accountId, { tokenExpiresAt: '' });
         this.settings.set_string('oauth-state', '');
 
-        // Stop callback server if running
-        this.stopCallbackServer();
+        // Abort any pending flow and stop the callback server
+        this.cancelAuthFlow('Logged out');
 
         console.log('Logged out successfully');
     }
@@ -447,6 +647,7 @@ export class LinearOAuthHandler {
      * Cleanup when handler is destroyed
      */
     destroy() {
+        this.clearFlowState();
         this.stopCallbackServer();
         if (this.httpSession) {
             this.httpSession = null;
@@ -24,10 +24,25 @@ zip -r "dist/${PACKAGE_NAME}" \
     extension.js \
     prefs.js \
     metadata.json \
+    logo-light.svg \
+    accounts.js \
+    indicator.js \
+    issue-actions-dialog.js \
+    credential-store.js \
+    dbus-service.js \
+    filter-rules.js \
     linear-client.js \
+    markdown.js \
     notification-manager.js \
+    notification-store.js \
+    notification-types.js \
     oauth-handler.js \
     polling-service.js \
+    quiet-hours.js \
+    reply-dialog.js \
+    snooze.js \
+    snooze-dialog.js \
+    urgency.js \
     schemas/ \
     --exclude "schemas/*.xml"
 
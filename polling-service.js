@@ -1,33 +1,85 @@
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
 
-import { LinearAPIClient } from './linear-client.js';
+import * as Signals from 'resource:///org/gnome/shell/misc/signals.js';
+
+import { getAccount, getAccountDisplayName, updateAccount } from './accounts.js';
+import { LINEAR_INBOX_URL, LinearAPIClient } from './linear-client.js';
 import { Logger } from './logger.js';
 
-export class LinearPollingService {
-    constructor(extension, notificationManager) {
+/**
+ * Polling states reported by getStatus()
+ */
+export const PollingState = Object.freeze({
+    OK: 'ok',
+    OFFLINE: 'offline',
+    BACKING_OFF: 'backing-off',
+    RATE_LIMITED: 'rate-limited',
+    AUTH_FAILED: 'auth-failed'
+});
+
+// Upper bound for the retry delay after repeated failures
+const MAX_BACKOFF_SECONDS = 30 * 60;
+
+// Fraction of the retry delay randomized so clients don't retry in lockstep
+const BACKOFF_JITTER = 0.3;
+
+// Slow down once less than this fraction of a rate-limit quota is left
+const LOW_QUOTA_FRACTION = 0.1;
+
+// Publish the quota again once it moved by this fraction of its limit
+const QUOTA_CHANGE_FRACTION = 0.05;
+
+/**
+ * Polls the Linear inbox of a single account
+ *
+ * Polling pauses while the network is unavailable and backs off exponentially
+ * after transient failures.
+ */
+export class LinearPollingService extends Signals.EventEmitter {
+    constructor(extension, notificationManager, accountId) {
+        super();
+
         this.extension = extension;
+        this.accountId = accountId;
         this.settings = extension.getSettings();
-        this.linearClient = new LinearAPIClient(extension);
+        this.linearClient = new LinearAPIClient(extension, accountId);
         this.notificationManager = notificationManager;
+        this.notificationStore = extension.notificationStore;
         this.isPolling = false;
         this.timeoutId = null;
-        this.lastKnownUpdates = new Set();
-        this.logger = new Logger('PollingService');
+
+        // Poll in progress, shared by polls requested meanwhile
+        this.pollPromise = null;
+        this.state = PollingState.OK;
+        this.failureCount = 0;
+        this.rateLimitedUntil = null;
+        this.savedRateLimit = null;
+        this.workspaceChecked = false;
+        this.logger = new Logger(`PollingService:${accountId}`);
 
         this.logger.debug('Initialized');
 
-        this.settings.connect('changed::polling-interval', () => {
-            this.logger.debug('Polling interval changed, restarting service');
-            this.restart();
+        this.intervalConnection = this.settings.connect('changed::polling-interval', () => {
+            if (this.isPolling) {
+                this.logger.debug('Polling interval changed, restarting service');
+                this.restart();
+            }
         });
 
-        this.settings.connect('changed::oauth-token', () => {
-            this.logger.debug('OAuth token changed, restarting service');
-            this.restart();
+        this.networkMonitor = Gio.NetworkMonitor.get_default();
+        this.networkConnection = this.networkMonitor.connect('network-changed', (monitor, available) => {
+            this.onNetworkChanged(available);
         });
     }
 
+    /**
+     * Current configuration of the polled account
+     */
+    get account() {
+        return getAccount(this.settings, this.accountId);
+    }
+
     start() {
         if (this.isPolling) {
             this.logger.debug('Already polling');
@@ -43,23 +95,26 @@ export class LinearPollingService {
         }
 
         this.isPolling = true;
+        this.failureCount = 0;
         this.logger.info('Started polling service');
 
-        // Do initial poll immediately
-        this.poll();
+        // Wait for connectivity before the first poll
+        if (!this.networkMonitor.network_available) {
+            this.logger.info('Network unavailable, waiting for connectivity');
+            this.state = PollingState.OFFLINE;
+            return;
+        }
+
+        this.state = PollingState.OK;
 
-        // Schedule regular polling
-        this.scheduleNextPoll();
+        // Do initial poll immediately, then schedule regular polling
+        this.pollAndReschedule();
     }
 
     stop() {
         this.logger.info('Stopping polling service');
         this.isPolling = false;
-
-        if (this.timeoutId) {
-            GLib.Source.remove(this.timeoutId);
-            this.timeoutId = null;
-        }
+        this.cancelScheduledPoll();
     }
 
     restart() {
@@ -67,67 +122,344 @@ export class LinearPollingService {
         this.start();
     }
 
-    scheduleNextPoll() {
+    /**
+     * Pause polling while offline and poll right away once connectivity returns
+     */
+    onNetworkChanged(available) {
         if (!this.isPolling) {
             return;
         }
 
-        const intervalSeconds = Math.max(30, this.settings.get_int('polling-interval'));
-        this.logger.debug(`Next poll in ${intervalSeconds} seconds`);
+        if (!available && this.state !== PollingState.OFFLINE) {
+            this.logger.info('Network unavailable, pausing polling');
+            this.state = PollingState.OFFLINE;
+            this.cancelScheduledPoll();
+        } else if (available && this.state === PollingState.OFFLINE) {
+            this.logger.info('Network available again, polling now');
+            this.state = PollingState.OK;
+            this.failureCount = 0;
+            this.pollAndReschedule();
+        }
+    }
+
+    async pollAndReschedule() {
+        this.cancelScheduledPoll();
+        await this.poll();
+        this.scheduleNextPoll();
+    }
+
+    cancelScheduledPoll() {
+        if (this.timeoutId) {
+            GLib.Source.remove(this.timeoutId);
+            this.timeoutId = null;
+        }
+    }
+
+    scheduleNextPoll() {
+        if (!this.isPolling || this.state === PollingState.OFFLINE || this.timeoutId) {
+            return;
+        }
+
+        const delaySeconds = this.getNextPollDelay();
+        this.logger.debug(`Next poll in ${delaySeconds} seconds`);
 
         this.timeoutId = GLib.timeout_add_seconds(
             GLib.PRIORITY_DEFAULT,
-            intervalSeconds,
+            delaySeconds,
             () => {
-                this.poll();
-                this.scheduleNextPoll();
+                this.timeoutId = null;
+                this.pollAndReschedule();
                 return GLib.SOURCE_REMOVE;
             }
         );
     }
 
-    async poll() {
+    /**
+     * Polling interval, doubled for every consecutive failure (with jitter)
+     * and stretched to stay within the API rate limits
+     */
+    getNextPollDelay() {
+        const intervalSeconds = Math.max(30, this.settings.get_int('polling-interval'));
+        let delaySeconds = intervalSeconds;
+
+        if (this.failureCount > 0) {
+            const backoffSeconds = Math.min(MAX_BACKOFF_SECONDS, intervalSeconds * 2 ** this.failureCount);
+            delaySeconds = Math.round(backoffSeconds * (1 - BACKOFF_JITTER * Math.random()));
+        }
+
+        return Math.max(delaySeconds, this.getRateLimitDelay());
+    }
+
+    /**
+     * Seconds to wait so the remaining rate-limit quota lasts until it resets
+     */
+    getRateLimitDelay() {
+        // Rejected for exceeding a quota: wait for it to reset
+        if (this.state === PollingState.RATE_LIMITED && this.rateLimitedUntil) {
+            return Math.max(0, Math.ceil((this.rateLimitedUntil - Date.now()) / 1000));
+        }
+
+        const rateLimit = this.linearClient?.rateLimit;
+        if (!rateLimit) {
+            return 0;
+        }
+
+        let delaySeconds = 0;
+        const quotas = [
+            [rateLimit.requests, 1],
+            [rateLimit.complexity, rateLimit.cost || 1]
+        ];
+
+        for (const [quota, costPerRequest] of quotas) {
+            if (!quota?.resetAt || quota.remaining >= quota.limit * LOW_QUOTA_FRACTION) {
+                continue;
+            }
+
+            // Spread what is left of the quota evenly until it resets
+            const secondsUntilReset = Math.max(0, Math.ceil((quota.resetAt - Date.now()) / 1000));
+            const requestsLeft = Math.max(1, Math.floor(quota.remaining / costPerRequest));
+            delaySeconds = Math.max(delaySeconds, Math.ceil(secondsUntilReset / requestsLeft));
+        }
+
+        if (delaySeconds > 0) {
+            this.logger.debug(`Rate-limit quota low, slowing polling to ${delaySeconds} seconds`);
+        }
+
+        return delaySeconds;
+    }
+
+    /**
+     * Poll once, or join the poll already in progress, so forced polls and
+     * reconnects never deliver or resurface notifications twice
+     */
+    poll() {
+        if (!this.pollPromise) {
+            this.pollPromise = this.runPoll().finally(() => {
+                this.pollPromise = null;
+            });
+        }
+
+        return this.pollPromise;
+    }
+
+    async runPoll() {
         if (!this.isPolling) {
             return;
         }
 
+        if (this.state === PollingState.OFFLINE) {
+            this.logger.debug('Offline, skipping poll');
+            return;
+        }
+
         if (!this.linearClient.isAuthenticated()) {
             this.logger.debug('Not authenticated, skipping poll');
             return;
         }
 
         try {
+            if (!this.workspaceChecked) {
+                await this.updateWorkspaceInfo();
+            }
+
             this.logger.debug('Polling for updates');
-            const updates = await this.linearClient.getUpdates();
-            this.logger.debug(`Received ${updates.length} total updates`);
-
-            // Filter out updates we've already seen
-            const newUpdates = updates.filter(update => !this.lastKnownUpdates.has(update.id));
-
-            if (newUpdates.length > 0) {
-                this.logger.info(`Found ${newUpdates.length} new updates`);
-                this.logger.debug('New updates:', newUpdates.map(u => `${u.type}: ${u.title}`));
-
-                for (const update of newUpdates) {
-                    const notification = this.convertUpdateToNotification(update);
-                    if (this.notificationManager) {
-                        this.notificationManager.showNotification(notification);
-                    }
-                    this.lastKnownUpdates.add(update.id);
-                }
+            const { updates, checkpoint, overflowCount, hasMoreOverflow, recentNotifications } =
+                await this.linearClient.getUpdates(this.getCheckpoint(),
+                    notificationId => this.notificationStore.has(notificationId));
+
+            this.reconcileNotifications(recentNotifications);
 
-                // Clean up old update IDs to prevent memory leak
-                this.cleanupOldUpdateIds();
+            // Updates delivered in this or an earlier session were already left out
+            if (updates.length > 0) {
+                this.logger.info(`Found ${updates.length} new updates`);
+                this.logger.debug('New updates:', updates.map(u => `${u.type}: ${u.title}`));
+
+                if (this.notificationManager) {
+                    this.notificationManager.showNotifications(
+                        updates.map(update => this.convertUpdateToNotification(update)));
+                }
             } else {
                 this.logger.debug('No new updates found');
             }
 
-        } catch (error) {
-            this.logger.error('Failed to poll updates:', error.message);
+            if ((overflowCount > 0 || hasMoreOverflow) && this.notificationManager) {
+                this.notificationManager.showNotification(this.createOverflowNotification(overflowCount, hasMoreOverflow));
+            }
 
+            // Only advance once everything up to the checkpoint was handed over
+            this.notificationStore.setCheckpoint(this.accountId, checkpoint);
+
+            await this.resurfaceSnoozedNotifications();
+
+            this.failureCount = 0;
+            this.rateLimitedUntil = null;
+            this.state = PollingState.OK;
+        } catch (error) {
             if (this.isAuthenticationError(error)) {
-                this.logger.warn('Authentication error detected, stopping polling');
+                this.logger.warn('Authentication error detected, stopping polling:', error.message);
+                this.state = PollingState.AUTH_FAILED;
                 this.stop();
+            } else if (error.rateLimited) {
+                this.state = PollingState.RATE_LIMITED;
+                this.rateLimitedUntil = error.retryAt;
+
+                // Without a reset time fall back to the regular backoff
+                if (!error.retryAt) {
+                    this.failureCount++;
+                }
+
+                this.logger.warn('Rate limited by Linear API, pausing polling until the quota resets');
+            } else if (this.state !== PollingState.OFFLINE) {
+                // Requests failing because the network just dropped are expected
+                this.failureCount++;
+                this.state = PollingState.BACKING_OFF;
+                this.logger.warn(`Failed to poll updates (attempt ${this.failureCount}), backing off:`, error.message);
+            }
+        }
+
+        this.saveRateLimitStatus();
+        this.emit('poll-completed');
+    }
+
+    /**
+     * Publish the account's latest quota for the preferences diagnostics
+     * Skipped while it stays close to the published one, so a poll does not
+     * write to dconf every time.
+     */
+    saveRateLimitStatus() {
+        const rateLimit = this.linearClient?.rateLimit;
+        if (!rateLimit || !this.hasRateLimitChanged(rateLimit)) {
+            return;
+        }
+
+        let status = {};
+        try {
+            status = JSON.parse(this.settings.get_string('rate-limit-status'));
+        } catch (error) {
+            this.logger.debug('Resetting invalid rate-limit status');
+        }
+
+        status[this.accountId] = rateLimit;
+        this.settings.set_string('rate-limit-status', JSON.stringify(status));
+        this.savedRateLimit = rateLimit;
+    }
+
+    hasRateLimitChanged(rateLimit) {
+        if (!this.savedRateLimit) {
+            return true;
+        }
+
+        return ['requests', 'complexity'].some(name => {
+            const quota = rateLimit[name];
+            const savedQuota = this.savedRateLimit[name];
+
+            if (!quota || !savedQuota) {
+                return Boolean(quota) !== Boolean(savedQuota);
+            }
+
+            return quota.limit !== savedQuota.limit ||
+                Math.abs(quota.remaining - savedQuota.remaining) >= quota.limit * QUOTA_CHANGE_FRACTION;
+        });
+    }
+
+    /**
+     * Newest server notification delivered so far, or an hour ago on the first poll
+     */
+    getCheckpoint() {
+        const checkpoint = this.notificationStore.getCheckpoint(this.accountId);
+        if (checkpoint) {
+            return checkpoint;
+        }
+
+        const oneHourAgo = new Date();
+        oneHourAgo.setHours(oneHourAgo.getHours() - 1);
+        return { createdAt: oneHourAgo.toISOString(), id: null };
+    }
+
+    /**
+     * Sync delivered notifications with their state in Linear and withdraw
+     * the desktop notifications of those read, archived or snoozed there
+     * @param {Array} notifications - newest Linear notifications, including archived ones
+     */
+    reconcileNotifications(notifications) {
+        const now = Date.now();
+
+        for (const notification of notifications) {
+            const entry = this.notificationStore.get(notification.id);
+            if (!entry) {
+                continue;
+            }
+
+            // Past snooze times stay on the server, but the snooze is over
+            const isSnoozed = Boolean(notification.snoozedUntilAt) &&
+                new Date(notification.snoozedUntilAt).getTime() > now;
+
+            const changes = {};
+            if ((notification.readAt || null) !== entry.readAt) {
+                changes.readAt = notification.readAt || null;
+            }
+            if ((notification.archivedAt || null) !== entry.archivedAt) {
+                changes.archivedAt = notification.archivedAt || null;
+            }
+            if (isSnoozed && notification.snoozedUntilAt !== entry.snoozedUntilAt) {
+                changes.snoozedUntilAt = notification.snoozedUntilAt;
+            }
+
+            if (Object.keys(changes).length > 0) {
+                this.notificationStore.updateState(notification.id, changes);
+            }
+
+            if (this.notificationManager && (notification.readAt || notification.archivedAt || isSnoozed)) {
+                this.notificationManager.withdrawNotification(notification.id);
+            }
+        }
+    }
+
+    /**
+     * Show snoozed notifications again once their snooze time has passed
+     * Each one is looked up first, so notifications read, archived or snoozed
+     * again in Linear in the meantime stay hidden.
+     */
+    async resurfaceSnoozedNotifications() {
+        const now = new Date();
+
+        for (const entry of this.notificationStore.getDueSnoozed(this.accountId, now)) {
+            let notification;
+            try {
+                notification = await this.linearClient.getNotification(entry.id);
+            } catch (error) {
+                // Transport and quota errors fail the poll; Linear not knowing the ID drops it
+                if (error.rateLimited || !error.graphQLErrors) {
+                    throw error;
+                }
+
+                this.logger.warn(`Could not look up snoozed notification ${entry.id}:`, error.message);
+                notification = null;
+            }
+
+            if (!notification || notification.readAt || notification.archivedAt) {
+                this.notificationStore.updateState(entry.id, {
+                    snoozedUntilAt: null,
+                    readAt: notification?.readAt ?? null,
+                    archivedAt: notification?.archivedAt ?? null
+                });
+                continue;
+            }
+
+            if (notification.snoozedUntilAt && new Date(notification.snoozedUntilAt).getTime() > now.getTime()) {
+                this.notificationStore.updateState(entry.id, { snoozedUntilAt: notification.snoozedUntilAt });
+                continue;
+            }
+
+            this.logger.debug(`Snooze of notification ${entry.id} ended, showing it again`);
+            this.notificationStore.updateState(entry.id, { snoozedUntilAt: null });
+
+            if (this.notificationManager) {
+                const update = this.linearClient.convertNotification(notification);
+                this.notificationManager.showNotification({
+                    ...this.convertUpdateToNotification(update),
+                    resurfaced: true
+                });
             }
         }
     }
@@ -140,29 +472,59 @@ export class LinearPollingService {
             url: update.url,
             type: update.type,
             timestamp: update.updatedAt,
-            data: update.data
+            data: {
+                ...update.data,
+                accountId: this.accountId,
+                workspaceName: getAccountDisplayName(this.account)
+            }
         };
     }
 
     /**
-     * Clean up old update IDs to prevent memory leak
-     * Keep only the last 1000 update IDs
+     * Summarize the notifications that exceeded the per-poll cap
      */
-    cleanupOldUpdateIds() {
-        if (this.lastKnownUpdates.size > 1000) {
-            const updateIds = Array.from(this.lastKnownUpdates);
-            const keepIds = updateIds.slice(-500); // Keep most recent 500
+    createOverflowNotification(overflowCount, hasMoreOverflow) {
+        const count = overflowCount > 0 ? `${overflowCount}${hasMoreOverflow ? '+' : ''} more` : 'More';
 
-            this.lastKnownUpdates.clear();
-            keepIds.forEach(id => this.lastKnownUpdates.add(id));
+        return {
+            id: `overflow-${Date.now()}`,
+            title: 'More Linear notifications',
+            body: `${count} new notifications were not shown. Open your Linear inbox to see them.`,
+            url: LINEAR_INBOX_URL,
+            openLabel: 'Open Inbox',
+            type: 'overflow_summary',
+            timestamp: new Date(),
+            data: {
+                accountId: this.accountId,
+                workspaceName: getAccountDisplayName(this.account)
+            }
+        };
+    }
 
-            console.log('Cleaned up old update IDs, keeping 500 most recent');
+    /**
+     * Record the account's Linear workspace so notifications can be tagged with it
+     */
+    async updateWorkspaceInfo() {
+        const user = await this.linearClient.getCurrentUser();
+        const organization = user.organization;
+        const account = this.account;
+
+        if (organization && account &&
+            (account.workspaceId !== organization.id || account.workspaceName !== organization.name)) {
+            this.logger.info(`Connected to workspace ${organization.name}`);
+            updateAccount(this.settings, this.accountId, {
+                workspaceId: organization.id,
+                workspaceName: organization.name
+            });
         }
+
+        this.workspaceChecked = true;
     }
 
     isAuthenticationError(error) {
         const errorMessage = error?.message?.toLowerCase() || '';
         return errorMessage.includes('unauthorized') ||
+               errorMessage.includes('http 401') ||
                errorMessage.includes('invalid token') ||
                errorMessage.includes('authentication');
     }
@@ -195,10 +557,11 @@ export class LinearPollingService {
 
     /**
      * Force a poll right now (for testing or manual refresh)
+     * Joins the poll in progress if there is one.
      */
     async forcePoll() {
         console.log('Force polling Linear updates...');
-        await this.poll();
+        await this.pollAndReschedule();
     }
 
     /**
@@ -206,19 +569,23 @@ export class LinearPollingService {
      */
     getStatus() {
         return {
+            accountId: this.accountId,
             isPolling: this.isPolling,
+            state: this.state,
+            consecutiveFailures: this.failureCount,
+            rateLimit: this.linearClient?.rateLimit ?? null,
             isAuthenticated: this.linearClient.isAuthenticated(),
             pollingInterval: this.getPollingInterval(),
-            lastKnownUpdateCount: this.lastKnownUpdates.size
+            lastKnownUpdateCount: this.notificationStore.count(this.accountId)
         };
     }
 
     /**
-     * Reset polling state (clear known updates)
+     * Reset polling state (forget delivered notifications of this account)
      */
     reset() {
         console.log('Resetting Linear polling service state');
-        this.lastKnownUpdates.clear();
+        this.notificationStore.clearAccount(this.accountId);
     }
 
     /**
@@ -227,6 +594,16 @@ export class LinearPollingService {
     destroy() {
         this.stop();
 
+        if (this.networkConnection) {
+            this.networkMonitor.disconnect(this.networkConnection);
+            this.networkConnection = null;
+        }
+
+        if (this.intervalConnection) {
+            this.settings.disconnect(this.intervalConnection);
+            this.intervalConnection = null;
+        }
+
         if (this.linearClient) {
             this.linearClient.destroy();
             this.linearClient = null;
@@ -1,12 +1,23 @@
 import Adw from 'gi://Adw';
 import Gtk from 'gi://Gtk';
 import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
 
 import {ExtensionPreferences, gettext as _} from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
 
+import { createAccount, loadAccounts, removeAccount, saveAccounts, updateAccount } from './accounts.js';
+import { LinearCredentialStore } from './credential-store.js';
+import { migrateTypeSettings, NOTIFICATION_TYPES } from './notification-types.js';
+import { createRule, isValidPattern, loadRules, RULE_ACTIONS, saveRules } from './filter-rules.js';
+import { loadSchedule, parseTime, saveSchedule } from './quiet-hours.js';
+import { parseSnoozePreset } from './snooze.js';
+import { loadUrgencyMap, PRIORITY_LEVELS, URGENCY_LEVELS } from './urgency.js';
+
 export default class LinearNotificationsPreferences extends ExtensionPreferences {
     fillPreferencesWindow(window) {
         window._settings = this.getSettings();
+        migrateTypeSettings(window._settings);
+        window._credentials = new LinearCredentialStore(window._settings);
 
         const page = new Adw.PreferencesPage({
             title: _('General'),
@@ -14,194 +25,45 @@ export default class LinearNotificationsPreferences extends ExtensionPreferences
         });
         window.add(page);
 
-        // Authentication Group
-        const authGroup = new Adw.PreferencesGroup({
-            title: _('Authentication'),
-            description: _('Connect your Linear account using OAuth or API token'),
-        });
-        page.add(authGroup);
-
-        // Authentication Method Selection
-        const authMethodRow = new Adw.ComboRow({
-            title: _('Authentication Method'),
-            model: new Gtk.StringList({
-                strings: [_('OAuth (Recommended)'), _('API Token')],
-            }),
-            selected: window._settings.get_string('auth-method') === 'token' ? 1 : 0,
-        });
-        authMethodRow.connect('notify::selected', () => {
-            const method = authMethodRow.selected === 0 ? 'oauth' : 'token';
-            window._settings.set_string('auth-method', method);
-            updateAuthMethodVisibility();
-        });
-        authGroup.add(authMethodRow);
-
-        // Authentication Status Row
-        const authStatusRow = new Adw.ActionRow({
-            title: _('Linear Account'),
-        });
-
-        // Login/Logout Button
-        const authButton = new Gtk.Button({
-            label: _('Connect to Linear'),
-            css_classes: ['suggested-action'],
-            valign: Gtk.Align.CENTER,
-        });
-
-        authStatusRow.add_suffix(authButton);
-        authGroup.add(authStatusRow);
-
-        // API Token Row
-        const apiTokenRow = new Adw.PasswordEntryRow({
-            title: _('Linear API Token'),
-            text: window._settings.get_string('api-token'),
-        });
-        apiTokenRow.connect('changed', () => {
-            window._settings.set_string('api-token', apiTokenRow.text);
-            updateAuthStatus();
-        });
-        authGroup.add(apiTokenRow);
-
-        // Update authentication status
-        const updateAuthStatus = () => {
-            const authMethod = window._settings.get_string('auth-method');
-
-            if (authMethod === 'token') {
-                const apiToken = window._settings.get_string('api-token');
-                if (apiToken && apiToken.length > 0) {
-                    authStatusRow.set_subtitle(_('API token configured'));
-                    authButton.set_label(_('Clear Token'));
-                    authButton.remove_css_class('suggested-action');
-                    authButton.add_css_class('destructive-action');
-                } else {
-                    authStatusRow.set_subtitle(_('No API token set'));
-                    authButton.set_label(_('Set API Token'));
-                    authButton.remove_css_class('destructive-action');
-                    authButton.add_css_class('suggested-action');
-                }
-            } else {
-                const token = window._settings.get_string('oauth-token');
-                const expiresAt = window._settings.get_string('token-expires-at');
-
-                if (token && expiresAt) {
-                    const now = new Date().getTime();
-                    const expires = new Date(expiresAt).getTime();
-
-                    if (now < expires) {
-                        // Authenticated
-                        authStatusRow.set_subtitle(_('Connected and authenticated'));
-                        authButton.set_label(_('Disconnect'));
-                        authButton.remove_css_class('suggested-action');
-                        authButton.add_css_class('destructive-action');
-                    } else {
-                        // Expired
-                        authStatusRow.set_subtitle(_('Token expired - please reconnect'));
-                        authButton.set_label(_('Reconnect to Linear'));
-                        authButton.remove_css_class('destructive-action');
-                        authButton.add_css_class('suggested-action');
-                    }
-                } else {
-                    // Not authenticated
-                    authStatusRow.set_subtitle(_('Not connected'));
-                    authButton.set_label(_('Connect to Linear'));
-                    authButton.remove_css_class('destructive-action');
-                    authButton.add_css_class('suggested-action');
-                }
-            }
-        };
-
-
-        // Initial status update
-        updateAuthStatus();
-
-        // Watch for settings changes
-        window._settings.connect('changed::oauth-token', updateAuthStatus);
-        window._settings.connect('changed::token-expires-at', updateAuthStatus);
-
-        // Handle auth button click
-        authButton.connect('clicked', () => {
-            const authMethod = window._settings.get_string('auth-method');
-
-            if (authMethod === 'token') {
-                const apiToken = window._settings.get_string('api-token');
-                if (apiToken) {
-                    // Clear token
-                    this.handleClearToken(window);
-                } else {
-                    // Focus token field for input
-                    apiTokenRow.grab_focus();
-                }
-            } else {
-                const token = window._settings.get_string('oauth-token');
-                if (token) {
-                    // Logout
-                    this.handleLogout(window);
-                } else {
-                    // Login
-                    this.handleLogin(window);
-                }
-            }
-        });
-
-        window._settings.connect('changed::api-token', updateAuthStatus);
+        // Accounts Group
+        const refreshAccounts = this.buildAccountsGroup(window, page);
 
         // Setup Instructions
         const instructionsGroup = new Adw.PreferencesGroup({
-            title: _('OAuth Setup Instructions'),
-            description: _('Create a Linear OAuth application'),
+            title: _('Setup Instructions'),
+            description: _('Each account connects using OAuth or a Personal API Key'),
         });
         page.add(instructionsGroup);
 
-        const instructionsLabel = new Gtk.Label({
-            label: _(
-                '1. Go to Linear Settings → API → OAuth Applications\n' +
-                '2. Click "Create new OAuth application"\n' +
-                '3. Set Application Name: "GNOME Desktop Notifications"\n' +
-                '4. Set Redirect URL: "http://localhost:8080/callback"\n' +
-                '5. Set Scopes: "read"\n' +
-                '6. Enter Client ID and Secret below\n' +
-                '7. Click "Connect to Linear" above'
-            ),
-            wrap: true,
-            xalign: 0,
-            margin_top: 12,
-            margin_bottom: 12,
-            margin_start: 12,
-            margin_end: 12,
+        const oauthInstructionsRow = new Adw.ExpanderRow({
+            title: _('OAuth Application'),
+            subtitle: _('Create a Linear OAuth application'),
         });
+        oauthInstructionsRow.add_row(this.createInstructionsLabel(_(
+            '1. Go to Linear Settings → API → OAuth Applications\n' +
+            '2. Click "Create new OAuth application"\n' +
+            '3. Set Application Name: "GNOME Desktop Notifications"\n' +
+            '4. Set Redirect URL: "http://localhost:8080/callback"\n' +
+            '5. Set Scopes: "read" and "write"\n' +
+            '6. Enter the Client ID below (the Client Secret is optional)\n' +
+            '7. Click "Connect to Linear" on the account above'
+        )));
+        instructionsGroup.add(oauthInstructionsRow);
 
-        instructionsGroup.add(instructionsLabel);
-
-        // Update instructions based on auth method
-        const updateInstructions = () => {
-            const authMethod = window._settings.get_string('auth-method');
-
-            if (authMethod === 'token') {
-                instructionsGroup.set_title(_('API Token Setup Instructions'));
-                instructionsGroup.set_description(_('Create a Linear Personal API Key'));
-                instructionsLabel.set_label(_(
-                    '1. Go to Linear Settings → API → Personal API Keys\n' +
-                    '2. Click "Create API key"\n' +
-                    '3. Set Label: "GNOME Desktop Notifications"\n' +
-                    '4. Copy the generated token\n' +
-                    '5. Paste the token in the API Token field above'
-                ));
-            } else {
-                instructionsGroup.set_title(_('OAuth Setup Instructions'));
-                instructionsGroup.set_description(_('Create a Linear OAuth application'));
-                instructionsLabel.set_label(_(
-                    '1. Go to Linear Settings → API → OAuth Applications\n' +
-                    '2. Click "Create new OAuth application"\n' +
-                    '3. Set Application Name: "GNOME Desktop Notifications"\n' +
-                    '4. Set Redirect URL: "http://localhost:8080/callback"\n' +
-                    '5. Set Scopes: "read"\n' +
-                    '6. Enter Client ID and Secret below\n' +
-                    '7. Click "Connect to Linear" above'
-                ));
-            }
-        };
+        const tokenInstructionsRow = new Adw.ExpanderRow({
+            title: _('Personal API Key'),
+            subtitle: _('Create a Linear Personal API Key'),
+        });
+        tokenInstructionsRow.add_row(this.createInstructionsLabel(_(
+            '1. Go to Linear Settings → API → Personal API Keys\n' +
+            '2. Click "Create API key"\n' +
+            '3. Set Label: "GNOME Desktop Notifications"\n' +
+            '4. Copy the generated token\n' +
+            '5. Paste the token in the account\'s API Token field above'
+        )));
+        instructionsGroup.add(tokenInstructionsRow);
 
-        // OAuth Configuration
+        // OAuth Configuration (shared by all OAuth accounts)
         const oauthGroup = new Adw.PreferencesGroup({
             title: _('OAuth Configuration'),
             description: _('Enter your Linear OAuth application credentials'),
@@ -218,18 +80,25 @@ export default class LinearNotificationsPreferences extends ExtensionPreferences
         oauthGroup.add(clientIdRow);
 
         const clientSecretRow = new Adw.PasswordEntryRow({
-            title: _('Client Secret'),
-            text: window._settings.get_string('oauth-client-secret'),
+            title: _('Client Secret (optional)'),
+            show_apply_button: true,
         });
-        clientSecretRow.connect('changed', () => {
-            window._settings.set_string('oauth-client-secret', clientSecretRow.text);
+        clientSecretRow.connect('apply', () => {
+            window._credentials.set(null, 'oauth-client-secret', clientSecretRow.text)
+                .catch(error => this.showKeyringError(window, error));
         });
         oauthGroup.add(clientSecretRow);
 
+        // Load credentials from the keyring (migrating old GSettings values)
+        window._credentials.load().then(() => {
+            clientSecretRow.text = window._credentials.get(null, 'oauth-client-secret');
+            refreshAccounts();
+        });
+
         // Notification Settings Group
         const notificationGroup = new Adw.PreferencesGroup({
             title: _('Notification Settings'),
-            description: _('Choose which Linear events trigger notifications'),
+            description: _('Choose which Linear events trigger notifications. Accounts can override these defaults.'),
         });
         page.add(notificationGroup);
 
@@ -249,26 +118,127 @@ export default class LinearNotificationsPreferences extends ExtensionPreferences
         });
         notificationGroup.add(intervalRow);
 
-        // Notification Type Switches
-        const notificationTypes = [
-            { key: 'notify-new-issues', title: _('New Issues') },
-            { key: 'notify-issue-updates', title: _('Issue Updates') },
-            { key: 'notify-assigned-issues', title: _('Issue Assignments') },
-            { key: 'notify-comments', title: _('Comments') },
-            { key: 'notify-mentions', title: _('Mentions') },
-            { key: 'notify-status-changes', title: _('Status Changes') },
+        // Safety cap on notifications shown per poll
+        const maxNotificationsRow = new Adw.SpinRow({
+            title: _('Maximum Notifications per Poll'),
+            subtitle: _('Further notifications are summarized in one notification'),
+            adjustment: new Gtk.Adjustment({
+                lower: 50,
+                upper: 1000,
+                step_increment: 50,
+                page_increment: 100,
+                value: window._settings.get_int('max-notifications-per-poll'),
+            }),
+        });
+        maxNotificationsRow.connect('changed', () => {
+            window._settings.set_int('max-notifications-per-poll', maxNotificationsRow.value);
+        });
+        notificationGroup.add(maxNotificationsRow);
+
+        // Burst grouping and banner cap
+        const groupingRows = [
+            {
+                key: 'group-summary-threshold',
+                title: _('Summarize Bursts Larger Than'),
+                subtitle: _('Notifications from one poll are collapsed into a single summary'),
+                lower: 2,
+                upper: 50,
+            },
+            {
+                key: 'max-banners-per-minute',
+                title: _('Maximum Banners per Minute'),
+                subtitle: _('Further notifications go to the message tray silently, unless critical'),
+                lower: 1,
+                upper: 60,
+            },
         ];
 
-        notificationTypes.forEach(type => {
+        groupingRows.forEach(({ key, title, subtitle, lower, upper }) => {
+            const spinRow = new Adw.SpinRow({
+                title,
+                subtitle,
+                adjustment: new Gtk.Adjustment({
+                    lower,
+                    upper,
+                    step_increment: 1,
+                    page_increment: 5,
+                    value: window._settings.get_int(key),
+                }),
+            });
+            spinRow.connect('changed', () => {
+                window._settings.set_int(key, spinRow.value);
+            });
+            notificationGroup.add(spinRow);
+        });
+
+        // How long delivered notifications are remembered
+        const retentionRow = new Adw.SpinRow({
+            title: _('Notification History (days)'),
+            subtitle: _('Delivered notifications are remembered so they are never shown twice'),
+            adjustment: new Gtk.Adjustment({
+                lower: 1,
+                upper: 365,
+                step_increment: 1,
+                page_increment: 7,
+                value: window._settings.get_int('history-retention-days'),
+            }),
+        });
+        retentionRow.connect('changed', () => {
+            window._settings.set_int('history-retention-days', retentionRow.value);
+        });
+        notificationGroup.add(retentionRow);
+
+        // Comma-separated snooze presets, only saved when all of them are valid
+        const snoozeRow = new Adw.EntryRow({
+            title: _('Snooze Presets (e.g. 30m, 3h, tomorrow 09:00, monday 09:00)'),
+            text: window._settings.get_strv('snooze-presets').join(', '),
+            show_apply_button: true,
+        });
+        const parseSnoozeRow = () => snoozeRow.text.split(',')
+            .map(preset => preset.trim())
+            .filter(preset => preset !== '');
+        snoozeRow.connect('changed', () => {
+            if (parseSnoozeRow().every(preset => parseSnoozePreset(preset))) {
+                snoozeRow.remove_css_class('error');
+            } else {
+                snoozeRow.add_css_class('error');
+            }
+        });
+        snoozeRow.connect('apply', () => {
+            const presets = parseSnoozeRow();
+            if (presets.every(preset => parseSnoozePreset(preset))) {
+                window._settings.set_strv('snooze-presets', presets);
+            }
+        });
+        notificationGroup.add(snoozeRow);
+
+        // Notification Type Switches, generated from the type registry
+        const typesRow = new Adw.ExpanderRow({
+            title: _('Notification Types'),
+            subtitle: _('Linear events that trigger notifications'),
+        });
+        NOTIFICATION_TYPES.forEach(type => {
             const switchRow = new Adw.SwitchRow({
-                title: type.title,
-                active: window._settings.get_boolean(type.key),
+                title: _(type.title),
+                active: !window._settings.get_strv('disabled-notification-types').includes(type.id),
             });
             switchRow.connect('notify::active', () => {
-                window._settings.set_boolean(type.key, switchRow.active);
+                const disabledTypes = window._settings.get_strv('disabled-notification-types')
+                    .filter(typeId => typeId !== type.id);
+                if (!switchRow.active) {
+                    disabledTypes.push(type.id);
+                }
+                window._settings.set_strv('disabled-notification-types', disabledTypes);
             });
-            notificationGroup.add(switchRow);
+            typesRow.add_row(switchRow);
         });
+        notificationGroup.add(typesRow);
+
+        // Urgency Group
+        this.buildUrgencyGroup(window, page);
+
+        // Sounds Group
+        this.buildSoundsGroup(window, page);
 
         // Click Action Group
         const actionGroup = new Adw.PreferencesGroup({
@@ -293,7 +263,7 @@ export default class LinearNotificationsPreferences extends ExtensionPreferences
 
         // Custom Command
         const commandRow = new Adw.EntryRow({
-            title: _('Custom Command (use {{URL}} for Linear URL)'),
+            title: _('Custom Command ({{URL}}, {{IDENTIFIER}}, {{TITLE}}, {{TYPE}}, {{ACTOR}}, {{NOTIFICATION_ID}}, {{BRANCH}})'),
             text: window._settings.get_string('custom-command'),
             sensitive: window._settings.get_string('click-action') === 'custom',
         });
@@ -307,34 +277,854 @@ export default class LinearNotificationsPreferences extends ExtensionPreferences
             commandRow.sensitive = window._settings.get_string('click-action') === 'custom';
         });
 
-        // Update method visibility (defined after all UI elements)
-        const updateAuthMethodVisibility = () => {
-            const authMethod = window._settings.get_string('auth-method');
-            apiTokenRow.visible = authMethod === 'token';
-            oauthGroup.visible = authMethod === 'oauth';
-            updateAuthStatus();
-            updateInstructions();
+        // Diagnostics Group
+        this.buildDiagnosticsGroup(window, page);
+
+        // Filter Rules Page
+        this.buildFilterRulesPage(window);
+
+        // Quiet Hours Page
+        this.buildQuietHoursPage(window);
+    }
+
+    /**
+     * Build the page listing the ordered notification filter rules
+     */
+    buildFilterRulesPage(window) {
+        const page = new Adw.PreferencesPage({
+            title: _('Filter Rules'),
+            icon_name: 'edit-find-symbolic',
+        });
+        window.add(page);
+
+        const rulesGroup = new Adw.PreferencesGroup({
+            title: _('Filter Rules'),
+            description: _('Rules are checked in order and the first matching rule decides. ' +
+                'Notifications no rule matches follow the notification type settings.'),
+        });
+        page.add(rulesGroup);
+
+        const addButton = new Gtk.Button({
+            icon_name: 'list-add-symbolic',
+            tooltip_text: _('Add Rule'),
+            css_classes: ['flat'],
+            valign: Gtk.Align.CENTER,
+        });
+        rulesGroup.set_header_suffix(addButton);
+
+        let ruleRows = [];
+
+        const rebuildRules = () => {
+            for (const row of ruleRows) {
+                rulesGroup.remove(row);
+            }
+
+            const rules = loadRules(window._settings);
+            ruleRows = rules.map((rule, index) => this.createRuleRow(window, rule, index, rules.length, rebuildRules));
+            ruleRows.forEach(row => rulesGroup.add(row));
         };
 
-        // Initial method visibility and status update
-        updateAuthMethodVisibility();
+        addButton.connect('clicked', () => {
+            const rules = loadRules(window._settings);
+            rules.push(createRule(_('New Rule')));
+            saveRules(window._settings, rules);
+            rebuildRules();
+        });
 
-        // Watch for auth method changes
-        window._settings.connect('changed::auth-method', updateAuthMethodVisibility);
+        rebuildRules();
     }
 
-    handleLogin(window) {
+    /**
+     * Build the expandable editor of one filter rule
+     * @param {Function} rebuildRules - called after the rule is moved or removed
+     */
+    createRuleRow(window, rule, index, ruleCount, rebuildRules) {
+        const actionTitles = {
+            'show': _('Show'),
+            'hide': _('Hide'),
+            'mark-read': _('Mark as Read'),
+            'force-urgent': _('Show as Urgent'),
+        };
+
+        const updateRule = changes => {
+            const rules = loadRules(window._settings).map(r => (r.id === rule.id ? { ...r, ...changes } : r));
+            saveRules(window._settings, rules);
+            rule = rules.find(r => r.id === rule.id) ?? rule;
+        };
+
+        const updateCondition = (condition, value) => {
+            updateRule({ conditions: { ...rule.conditions, [condition]: value } });
+        };
+
+        const row = new Adw.ExpanderRow({
+            title: rule.name,
+            subtitle: actionTitles[rule.action],
+            show_enable_switch: true,
+            enable_expansion: rule.enabled,
+        });
+        row.connect('notify::enable-expansion', () => {
+            updateRule({ enabled: row.enable_expansion });
+        });
+
+        const nameRow = new Adw.EntryRow({
+            title: _('Name'),
+            text: rule.name,
+            show_apply_button: true,
+        });
+        nameRow.connect('apply', () => {
+            updateRule({ name: nameRow.text });
+            row.set_title(nameRow.text);
+        });
+        row.add_row(nameRow);
+
+        const actionRow = new Adw.ComboRow({
+            title: _('Action'),
+            model: new Gtk.StringList({
+                strings: RULE_ACTIONS.map(action => actionTitles[action]),
+            }),
+            selected: Math.max(0, RULE_ACTIONS.indexOf(rule.action)),
+        });
+        actionRow.connect('notify::selected', () => {
+            const action = RULE_ACTIONS[actionRow.selected];
+            updateRule({ action });
+            row.set_subtitle(actionTitles[action]);
+        });
+        row.add_row(actionRow);
+
+        // Text conditions; empty ones match everything
+        const textConditions = [
+            { condition: 'team', title: _('Team (key or name)') },
+            { condition: 'project', title: _('Project') },
+            { condition: 'label', title: _('Label') },
+            { condition: 'actor', title: _('Actor') },
+            { condition: 'type', title: _('Notification Type (e.g. issueNewComment)') },
+            { condition: 'title', title: _('Title (regular expression)'), pattern: true },
+            { condition: 'subtitle', title: _('Subtitle (regular expression)'), pattern: true },
+        ];
+
+        textConditions.forEach(({ condition, title, pattern }) => {
+            const conditionRow = new Adw.EntryRow({
+                title,
+                text: rule.conditions?.[condition] ?? '',
+                show_apply_button: true,
+            });
+
+            if (pattern) {
+                conditionRow.connect('changed', () => {
+                    if (isValidPattern(conditionRow.text)) {
+                        conditionRow.remove_css_class('error');
+                    } else {
+                        conditionRow.add_css_class('error');
+                    }
+                });
+            }
+
+            conditionRow.connect('apply', () => {
+                if (!pattern || isValidPattern(conditionRow.text)) {
+                    updateCondition(condition, conditionRow.text);
+                }
+            });
+            row.add_row(conditionRow);
+        });
+
+        // The first entry matches any priority
+        const priorityRow = new Adw.ComboRow({
+            title: _('Priority'),
+            model: new Gtk.StringList({
+                strings: [_('Any'), ...PRIORITY_LEVELS.map(priority => _(priority.title))],
+            }),
+            selected: PRIORITY_LEVELS.findIndex(priority => priority.value === rule.conditions?.priority) + 1,
+        });
+        priorityRow.connect('notify::selected', () => {
+            updateCondition('priority',
+                priorityRow.selected === 0 ? null : PRIORITY_LEVELS[priorityRow.selected - 1].value);
+        });
+        row.add_row(priorityRow);
+
+        // Reorder and remove
+        const manageRow = new Adw.ActionRow({
+            title: _('Order'),
+        });
+
+        const moveRule = offset => {
+            const rules = loadRules(window._settings);
+            const [moved] = rules.splice(index, 1);
+            rules.splice(index + offset, 0, moved);
+            saveRules(window._settings, rules);
+            rebuildRules();
+        };
+
+        const upButton = new Gtk.Button({
+            icon_name: 'go-up-symbolic',
+            tooltip_text: _('Move Up'),
+            valign: Gtk.Align.CENTER,
+            sensitive: index > 0,
+        });
+        upButton.connect('clicked', () => moveRule(-1));
+        manageRow.add_suffix(upButton);
+
+        const downButton = new Gtk.Button({
+            icon_name: 'go-down-symbolic',
+            tooltip_text: _('Move Down'),
+            valign: Gtk.Align.CENTER,
+            sensitive: index < ruleCount - 1,
+        });
+        downButton.connect('clicked', () => moveRule(1));
+        manageRow.add_suffix(downButton);
+
+        const removeButton = new Gtk.Button({
+            label: _('Remove'),
+            css_classes: ['destructive-action'],
+            valign: Gtk.Align.CENTER,
+        });
+        removeButton.connect('clicked', () => {
+            saveRules(window._settings, loadRules(window._settings).filter(r => r.id !== rule.id));
+            rebuildRules();
+        });
+        manageRow.add_suffix(removeButton);
+
+        row.add_row(manageRow);
+
+        return row;
+    }
+
+    /**
+     * Build the quiet hours page with the weekly schedule
+     */
+    buildQuietHoursPage(window) {
+        const page = new Adw.PreferencesPage({
+            title: _('Quiet Hours'),
+            icon_name: 'weather-clear-night-symbolic',
+        });
+        window.add(page);
+
+        const quietHoursGroup = new Adw.PreferencesGroup({
+            title: _('Quiet Hours'),
+            description: _('Hold notifications during these hours and show a summary when they end'),
+        });
+        page.add(quietHoursGroup);
+
+        const switches = [
+            { key: 'quiet-hours-enabled', title: _('Enable Quiet Hours') },
+            { key: 'quiet-hours-allow-mentions', title: _('Allow Mentions'), subtitle: _('Show direct mentions anyway') },
+            { key: 'quiet-hours-allow-urgent', title: _('Allow Urgent Issues'), subtitle: _('Show Urgent-priority issues anyway') },
+        ];
+
+        switches.forEach(({ key, title, subtitle }) => {
+            const switchRow = new Adw.SwitchRow({
+                title,
+                subtitle: subtitle ?? '',
+                active: window._settings.get_boolean(key),
+            });
+            switchRow.connect('notify::active', () => {
+                window._settings.set_boolean(key, switchRow.active);
+            });
+            quietHoursGroup.add(switchRow);
+        });
+
+        const dndGroup = new Adw.PreferencesGroup({
+            title: _('Do Not Disturb'),
+            description: _('While GNOME\'s Do Not Disturb is on, notifications go silently to the message tray unless allowed here'),
+        });
+        page.add(dndGroup);
+
+        const dndAllowList = [
+            { value: 'mentions', title: _('Direct Mentions') },
+            { value: 'urgent-assignments', title: _('Urgent Issues Assigned to You') },
+            { value: 'urgent', title: _('All Urgent Issues') },
+        ];
+
+        dndAllowList.forEach(({ value, title }) => {
+            const switchRow = new Adw.SwitchRow({
+                title,
+                active: window._settings.get_strv('dnd-allow-list').includes(value),
+            });
+            switchRow.connect('notify::active', () => {
+                const allowList = window._settings.get_strv('dnd-allow-list').filter(item => item !== value);
+                if (switchRow.active) {
+                    allowList.push(value);
+                }
+                window._settings.set_strv('dnd-allow-list', allowList);
+            });
+            dndGroup.add(switchRow);
+        });
+
+        const scheduleGroup = new Adw.PreferencesGroup({
+            title: _('Schedule'),
+            description: _('Times use 24-hour "HH:MM"; an end before the start continues into the next day'),
+        });
+        page.add(scheduleGroup);
+
+        const weekdays = [_('Sunday'), _('Monday'), _('Tuesday'), _('Wednesday'), _('Thursday'), _('Friday'), _('Saturday')];
+
+        // List Monday first; schedule entries are indexed like Date.getDay()
+        [1, 2, 3, 4, 5, 6, 0].forEach(weekday => {
+            const day = loadSchedule(window._settings)[weekday];
+
+            const dayRow = new Adw.ExpanderRow({
+                title: weekdays[weekday],
+                subtitle: `${day.start} – ${day.end}`,
+                show_enable_switch: true,
+                enable_expansion: day.enabled,
+            });
+
+            const updateDay = changes => {
+                const schedule = loadSchedule(window._settings);
+                schedule[weekday] = { ...schedule[weekday], ...changes };
+                saveSchedule(window._settings, schedule);
+
+                dayRow.set_subtitle(`${schedule[weekday].start} – ${schedule[weekday].end}`);
+            };
+
+            dayRow.connect('notify::enable-expansion', () => {
+                updateDay({ enabled: dayRow.enable_expansion });
+            });
+
+            for (const [field, title] of [['start', _('Start')], ['end', _('End')]]) {
+                const timeRow = new Adw.EntryRow({
+                    title,
+                    text: day[field],
+                    show_apply_button: true,
+                });
+                timeRow.connect('changed', () => {
+                    if (parseTime(timeRow.text) === null) {
+                        timeRow.add_css_class('error');
+                    } else {
+                        timeRow.remove_css_class('error');
+                    }
+                });
+                timeRow.connect('apply', () => {
+                    if (parseTime(timeRow.text) !== null) {
+                        updateDay({ [field]: timeRow.text });
+                    }
+                });
+                dayRow.add_row(timeRow);
+            }
+
+            scheduleGroup.add(dayRow);
+        });
+    }
+
+    createInstructionsLabel(text) {
+        return new Gtk.Label({
+            label: text,
+            wrap: true,
+            xalign: 0,
+            margin_top: 12,
+            margin_bottom: 12,
+            margin_start: 12,
+            margin_end: 12,
+        });
+    }
+
+    /**
+     * Build the list of configured accounts
+     * @returns {Function} - call to refresh the rows after credentials are loaded
+     */
+    buildAccountsGroup(window, page) {
+        const accountsGroup = new Adw.PreferencesGroup({
+            title: _('Linear Accounts'),
+            description: _('Connect one or more Linear workspaces'),
+        });
+        page.add(accountsGroup);
+
+        const addButton = new Gtk.Button({
+            icon_name: 'list-add-symbolic',
+            tooltip_text: _('Add Account'),
+            css_classes: ['flat'],
+            valign: Gtk.Align.CENTER,
+        });
+        addButton.connect('clicked', () => {
+            const accounts = loadAccounts(window._settings);
+            accounts.push(createAccount(_('Linear Account')));
+            saveAccounts(window._settings, accounts);
+        });
+        accountsGroup.set_header_suffix(addButton);
+
+        let accountRows = new Map();
+
+        const refreshAccounts = () => {
+            const accounts = loadAccounts(window._settings);
+
+            // Only rebuild when accounts are added or removed so edits keep their focus
+            const accountIds = accounts.map(account => account.id).join(',');
+            if (accountIds !== [...accountRows.keys()].join(',')) {
+                for (const { row } of accountRows.values()) {
+                    accountsGroup.remove(row);
+                }
+
+                accountRows = new Map();
+                for (const account of accounts) {
+                    const accountRow = this.createAccountRow(window, account);
+                    accountRows.set(account.id, accountRow);
+                    accountsGroup.add(accountRow.row);
+                }
+            }
+
+            for (const { update } of accountRows.values()) {
+                update();
+            }
+        };
+
+        refreshAccounts();
+
+        // Watch for account and keyring changes
+        window._settings.connect('changed::accounts', refreshAccounts);
+        window._credentials.connectChanged(refreshAccounts);
+
+        return refreshAccounts;
+    }
+
+    /**
+     * Build the expandable settings row of one account
+     * @returns {{row: Adw.ExpanderRow, update: Function}}
+     */
+    createAccountRow(window, account) {
+        const accountId = account.id;
+        const getCurrentAccount = () => loadAccounts(window._settings).find(a => a.id === accountId) || account;
+
+        const row = new Adw.ExpanderRow({
+            title: account.name,
+        });
+
+        const nameRow = new Adw.EntryRow({
+            title: _('Name'),
+            text: account.name,
+            show_apply_button: true,
+        });
+        nameRow.connect('apply', () => {
+            updateAccount(window._settings, accountId, { name: nameRow.text });
+        });
+        row.add_row(nameRow);
+
+        const enabledRow = new Adw.SwitchRow({
+            title: _('Enabled'),
+            subtitle: _('Poll this account for notifications'),
+            active: account.enabled,
+        });
+        enabledRow.connect('notify::active', () => {
+            updateAccount(window._settings, accountId, { enabled: enabledRow.active });
+        });
+        row.add_row(enabledRow);
+
+        // Authentication Method Selection
+        const authMethodRow = new Adw.ComboRow({
+            title: _('Authentication Method'),
+            model: new Gtk.StringList({
+                strings: [_('OAuth (Recommended)'), _('API Token')],
+            }),
+            selected: account.authMethod === 'token' ? 1 : 0,
+        });
+        authMethodRow.connect('notify::selected', () => {
+            const method = authMethodRow.selected === 0 ? 'oauth' : 'token';
+            updateAccount(window._settings, accountId, { authMethod: method });
+        });
+        row.add_row(authMethodRow);
+
+        // Authentication Status Row
+        const authStatusRow = new Adw.ActionRow({
+            title: _('Linear Account'),
+        });
+
+        // Login/Logout Button
+        const authButton = new Gtk.Button({
+            label: _('Connect to Linear'),
+            css_classes: ['suggested-action'],
+            valign: Gtk.Align.CENTER,
+        });
+        authStatusRow.add_suffix(authButton);
+        row.add_row(authStatusRow);
+
+        // API Token Row (stored in the keyring when applied)
+        const apiTokenRow = new Adw.PasswordEntryRow({
+            title: _('Linear API Token'),
+            show_apply_button: true,
+        });
+        apiTokenRow.connect('apply', () => {
+            window._credentials.set(accountId, 'api-token', apiTokenRow.text)
+                .catch(error => this.showKeyringError(window, error));
+        });
+        row.add_row(apiTokenRow);
+
+        // Per-account notification type filters
+        const filtersRow = new Adw.ExpanderRow({
+            title: _('Notification Types'),
+            subtitle: _('Override the default notification types for this account'),
+        });
+        NOTIFICATION_TYPES.forEach(type => {
+            const override = account.filters?.[type.id];
+            const switchRow = new Adw.SwitchRow({
+                title: _(type.title),
+                active: typeof override === 'boolean'
+                    ? override
+                    : !window._settings.get_strv('disabled-notification-types').includes(type.id),
+            });
+            switchRow.connect('notify::active', () => {
+                const filters = { ...getCurrentAccount().filters, [type.id]: switchRow.active };
+                updateAccount(window._settings, accountId, { filters });
+            });
+            filtersRow.add_row(switchRow);
+        });
+        row.add_row(filtersRow);
+
+        const removeRow = new Adw.ActionRow({
+            title: _('Remove Account'),
+        });
+        const removeButton = new Gtk.Button({
+            label: _('Remove'),
+            css_classes: ['destructive-action'],
+            valign: Gtk.Align.CENTER,
+        });
+        removeButton.connect('clicked', () => this.handleRemoveAccount(window, getCurrentAccount()));
+        removeRow.add_suffix(removeButton);
+        row.add_row(removeRow);
+
+        // Handle auth button click
+        authButton.connect('clicked', () => {
+            if (getCurrentAccount().authMethod === 'token') {
+                const apiToken = window._credentials.get(accountId, 'api-token');
+                if (apiToken) {
+                    // Clear token
+                    this.handleClearToken(window, accountId);
+                } else {
+                    // Focus token field for input
+                    apiTokenRow.grab_focus();
+                }
+            } else {
+                const token = window._credentials.get(accountId, 'oauth-token');
+                if (token) {
+                    // Logout
+                    this.handleLogout(window, accountId);
+                } else {
+                    // Login
+                    this.handleLogin(window, accountId);
+                }
+            }
+        });
+
+        let apiTokenLoaded = false;
+
+        const update = () => {
+            const currentAccount = getCurrentAccount();
+
+            row.set_title(currentAccount.name);
+            row.set_subtitle(currentAccount.workspaceName ||
+                (currentAccount.enabled ? '' : _('Disabled')));
+            apiTokenRow.visible = currentAccount.authMethod === 'token';
+
+            // Fill the token field once the keyring has been read
+            if (window._credentials.loaded && !apiTokenLoaded) {
+                apiTokenRow.text = window._credentials.get(accountId, 'api-token');
+                apiTokenLoaded = true;
+            }
+
+            this.updateAuthStatus(window, currentAccount, authStatusRow, authButton);
+        };
+
+        return { row, update };
+    }
+
+    /**
+     * Show the connection state of an account on its status row and button
+     */
+    updateAuthStatus(window, account, authStatusRow, authButton) {
+        authButton.sensitive = window._credentials.loaded;
+        if (!window._credentials.loaded) {
+            authStatusRow.set_subtitle(_('Keyring locked or unavailable'));
+            return;
+        }
+
+        if (account.authMethod === 'token') {
+            const apiToken = window._credentials.get(account.id, 'api-token');
+            if (apiToken && apiToken.length > 0) {
+                authStatusRow.set_subtitle(_('API token configured'));
+                authButton.set_label(_('Clear Token'));
+                authButton.remove_css_class('suggested-action');
+                authButton.add_css_class('destructive-action');
+            } else {
+                authStatusRow.set_subtitle(_('No API token set'));
+                authButton.set_label(_('Set API Token'));
+                authButton.remove_css_class('destructive-action');
+                authButton.add_css_class('suggested-action');
+            }
+        } else {
+            const token = window._credentials.get(account.id, 'oauth-token');
+            const expiresAt = account.tokenExpiresAt;
+            const refreshToken = window._credentials.get(account.id, 'refresh-token');
+
+            if (token && expiresAt) {
+                const now = new Date().getTime();
+                const expires = new Date(expiresAt).getTime();
+
+                // Expired access tokens are refreshed automatically while a refresh token exists
+                if (now < expires || refreshToken) {
+                    // Authenticated
+                    authStatusRow.set_subtitle(_('Connected and authenticated'));
+                    authButton.set_label(_('Disconnect'));
+                    authButton.remove_css_class('suggested-action');
+                    authButton.add_css_class('destructive-action');
+                } else {
+                    // Expired
+                    authStatusRow.set_subtitle(_('Token expired - please reconnect'));
+                    authButton.set_label(_('Reconnect to Linear'));
+                    authButton.remove_css_class('destructive-action');
+                    authButton.add_css_class('suggested-action');
+                }
+            } else {
+                // Not authenticated
+                authStatusRow.set_subtitle(_('Not connected'));
+                authButton.set_label(_('Connect to Linear'));
+                authButton.remove_css_class('destructive-action');
+                authButton.add_css_class('suggested-action');
+            }
+        }
+    }
+
+    /**
+     * Urgency levels by issue priority and notification type, and the types
+     * whose notifications are transient
+     */
+    buildUrgencyGroup(window, page) {
+        const urgencyGroup = new Adw.PreferencesGroup({
+            title: _('Urgency'),
+            description: _('Notifications get the higher of the levels set for their issue priority and their type'),
+        });
+        page.add(urgencyGroup);
+
+        const createUrgencyRow = (key, id, title) => {
+            const level = loadUrgencyMap(window._settings, key)[id] ?? 'normal';
+            const row = new Adw.ComboRow({
+                title,
+                model: new Gtk.StringList({
+                    strings: URGENCY_LEVELS.map(urgency => _(urgency.title)),
+                }),
+                selected: Math.max(0, URGENCY_LEVELS.findIndex(urgency => urgency.id === level)),
+            });
+            row.connect('notify::selected', () => {
+                const urgencyMap = loadUrgencyMap(window._settings, key);
+                urgencyMap[id] = URGENCY_LEVELS[row.selected].id;
+                window._settings.set_value(key, new GLib.Variant('a{ss}', urgencyMap));
+            });
+            return row;
+        };
+
+        const priorityRow = new Adw.ExpanderRow({
+            title: _('By Issue Priority'),
+        });
+        PRIORITY_LEVELS.forEach(priority => {
+            priorityRow.add_row(createUrgencyRow('priority-urgency', priority.id, _(priority.title)));
+        });
+        urgencyGroup.add(priorityRow);
+
+        const typeRow = new Adw.ExpanderRow({
+            title: _('By Notification Type'),
+        });
+        NOTIFICATION_TYPES.forEach(type => {
+            typeRow.add_row(createUrgencyRow('type-urgency', type.id, _(type.title)));
+        });
+        urgencyGroup.add(typeRow);
+
+        const transientRow = new Adw.ExpanderRow({
+            title: _('Transient Notifications'),
+            subtitle: _('Types whose notifications are not kept in the message tray after their banner'),
+        });
+        NOTIFICATION_TYPES.forEach(type => {
+            const switchRow = new Adw.SwitchRow({
+                title: _(type.title),
+                active: window._settings.get_strv('transient-notification-types').includes(type.id),
+            });
+            switchRow.connect('notify::active', () => {
+                const transientTypes = window._settings.get_strv('transient-notification-types')
+                    .filter(typeId => typeId !== type.id);
+                if (switchRow.active) {
+                    transientTypes.push(type.id);
+                }
+                window._settings.set_strv('transient-notification-types', transientTypes);
+            });
+            transientRow.add_row(switchRow);
+        });
+        urgencyGroup.add(transientRow);
+    }
+
+    /**
+     * Sound of each notification type: none, the system default or a sound file
+     */
+    buildSoundsGroup(window, page) {
+        const soundsGroup = new Adw.PreferencesGroup({
+            title: _('Sounds'),
+            description: _('Played when a notification shows a banner'),
+        });
+        page.add(soundsGroup);
+
+        const muteRow = new Adw.SwitchRow({
+            title: _('Mute Sounds'),
+            active: window._settings.get_boolean('mute-sounds'),
+        });
+        muteRow.connect('notify::active', () => {
+            window._settings.set_boolean('mute-sounds', muteRow.active);
+        });
+        soundsGroup.add(muteRow);
+
+        const repeatRow = new Adw.SpinRow({
+            title: _('Repeat Window (seconds)'),
+            subtitle: _('Sounds within this time of the previous one are skipped'),
+            adjustment: new Gtk.Adjustment({
+                lower: 0,
+                upper: 600,
+                step_increment: 1,
+                page_increment: 10,
+                value: window._settings.get_int('sound-repeat-window'),
+            }),
+        });
+        repeatRow.connect('changed', () => {
+            window._settings.set_int('sound-repeat-window', repeatRow.value);
+        });
+        soundsGroup.add(repeatRow);
+
+        const loadSounds = () => window._settings.get_value('notification-sounds').deepUnpack();
+        const saveSound = (typeId, sound) => {
+            const sounds = loadSounds();
+            sounds[typeId] = sound;
+            window._settings.set_value('notification-sounds', new GLib.Variant('a{ss}', sounds));
+        };
+
+        const typesRow = new Adw.ExpanderRow({
+            title: _('Sound by Notification Type'),
+        });
+        NOTIFICATION_TYPES.forEach(type => {
+            const sound = loadSounds()[type.id] ?? 'none';
+            const isFile = sound !== 'none' && sound !== 'default';
+
+            const row = new Adw.ComboRow({
+                title: _(type.title),
+                subtitle: isFile ? GLib.path_get_basename(sound) : '',
+                model: new Gtk.StringList({
+                    strings: [_('None'), _('System Default'), _('Sound File…')],
+                }),
+                selected: isFile ? 2 : sound === 'default' ? 1 : 0,
+            });
+
+            // Selection to restore when choosing a file is cancelled
+            let previousSelected = row.selected;
+
+            row.connect('notify::selected', () => {
+                if (row.selected === previousSelected) {
+                    return;
+                }
+
+                if (row.selected < 2) {
+                    previousSelected = row.selected;
+                    row.subtitle = '';
+                    saveSound(type.id, row.selected === 0 ? 'none' : 'default');
+                    return;
+                }
+
+                const filter = new Gtk.FileFilter({ name: _('Sound Files') });
+                filter.add_mime_type('audio/*');
+
+                const dialog = new Gtk.FileDialog({
+                    title: _('Choose a Sound'),
+                    default_filter: filter,
+                });
+                dialog.open(window, null, (fileDialog, result) => {
+                    let path = null;
+                    try {
+                        path = fileDialog.open_finish(result)?.get_path() ?? null;
+                    } catch (error) {
+                        // Dismissed
+                    }
+
+                    if (path) {
+                        previousSelected = 2;
+                        row.subtitle = GLib.path_get_basename(path);
+                        saveSound(type.id, path);
+                    } else {
+                        row.selected = previousSelected;
+                    }
+                });
+            });
+
+            typesRow.add_row(row);
+        });
+        soundsGroup.add(typesRow);
+    }
+
+    /**
+     * Show the API quota of each account, as published by the extension when it changes
+     */
+    buildDiagnosticsGroup(window, page) {
+        const diagnosticsGroup = new Adw.PreferencesGroup({
+            title: _('Diagnostics'),
+            description: _('Linear API rate-limit quota, updated as polls use it up'),
+        });
+        page.add(diagnosticsGroup);
+
+        let quotaRows = [];
+
+        const refreshQuotas = () => {
+            for (const row of quotaRows) {
+                diagnosticsGroup.remove(row);
+            }
+
+            let status = {};
+            try {
+                status = JSON.parse(window._settings.get_string('rate-limit-status'));
+            } catch (error) {
+                console.error('Failed to parse rate-limit status:', error);
+            }
+
+            quotaRows = loadAccounts(window._settings).map(account => {
+                const row = new Adw.ActionRow({
+                    title: account.name,
+                    subtitle: this.formatRateLimit(status[account.id]),
+                });
+                diagnosticsGroup.add(row);
+                return row;
+            });
+        };
+
+        refreshQuotas();
+
+        window._settings.connect('changed::rate-limit-status', refreshQuotas);
+        window._settings.connect('changed::accounts', refreshQuotas);
+    }
+
+    formatRateLimit(rateLimit) {
+        if (!rateLimit) {
+            return _('No quota reported yet');
+        }
+
+        const parts = [];
+        const resetTimes = [];
+
+        for (const [quota, label] of [[rateLimit.requests, _('Requests')], [rateLimit.complexity, _('Complexity')]]) {
+            if (quota) {
+                parts.push(`${label}: ${quota.remaining} / ${quota.limit}`);
+                if (quota.resetAt) {
+                    resetTimes.push(quota.resetAt);
+                }
+            }
+        }
+
+        if (resetTimes.length > 0) {
+            parts.push(_('resets at %s').format(new Date(Math.min(...resetTimes)).toLocaleTimeString()));
+        }
+
+        return parts.join(' · ');
+    }
+
+    handleLogin(window, accountId) {
         console.log('Starting Linear OAuth flow from preferences...');
 
         // Check if OAuth credentials are configured
+        // The Client Secret is optional: the extension uses PKCE
         const clientId = window._settings.get_string('oauth-client-id');
-        const clientSecret = window._settings.get_string('oauth-client-secret');
 
-        if (!clientId || !clientSecret) {
+        if (!clientId) {
             const dialog = new Adw.MessageDialog({
                 transient_for: window,
                 heading: _('OAuth Not Configured'),
-                body: _('Please enter your Linear OAuth Client ID and Client Secret first.'),
+                body: _('Please enter your Linear OAuth Client ID first.'),
             });
             dialog.add_response('ok', _('OK'));
             dialog.connect('response', () => dialog.close());
@@ -355,7 +1145,8 @@ export default class LinearNotificationsPreferences extends ExtensionPreferences
 
         dialog.connect('response', (dialog, response) => {
             if (response === 'continue') {
-                // Trigger OAuth flow via extension
+                // Trigger OAuth flow for this account via extension
+                window._settings.set_string('oauth-account-id', accountId);
                 window._settings.set_boolean('start-oauth-flow', true);
 
                 // Reset the setting immediately
@@ -369,7 +1160,7 @@ export default class LinearNotificationsPreferences extends ExtensionPreferences
         dialog.present();
     }
 
-    handleLogout(window) {
+    handleLogout(window, accountId) {
         console.log('Logging out from Linear...');
 
         const dialog = new Adw.MessageDialog({
@@ -385,12 +1176,13 @@ export default class LinearNotificationsPreferences extends ExtensionPreferences
         dialog.connect('response', (dialog, response) => {
             if (response === 'logout') {
                 // Clear OAuth tokens
-                window._settings.set_string('oauth-token', '');
-                window._settings.set_string('refresh-token', '');
-                window._settings.set_string('token-expires-at', '');
+                updateAccount(window._settings, accountId, { tokenExpiresAt: '' });
                 window._settings.set_string('oauth-state', '');
 
-                console.log('Linear authentication cleared');
+                window._credentials.set(accountId, 'oauth-token', '')
+                    .then(() => window._credentials.set(accountId, 'refresh-token', ''))
+                    .then(() => console.log('Linear authentication cleared'))
+                    .catch(error => this.showKeyringError(window, error));
             }
             dialog.close();
         });
@@ -398,7 +1190,7 @@ export default class LinearNotificationsPreferences extends ExtensionPreferences
         dialog.present();
     }
 
-    handleClearToken(window) {
+    handleClearToken(window, accountId) {
         console.log('Clearing API token...');
 
         const dialog = new Adw.MessageDialog({
@@ -414,12 +1206,51 @@ export default class LinearNotificationsPreferences extends ExtensionPreferences
         dialog.connect('response', (dialog, response) => {
             if (response === 'clear') {
                 // Clear API token
-                window._settings.set_string('api-token', '');
-                console.log('API token cleared');
+                window._credentials.set(accountId, 'api-token', '')
+                    .then(() => console.log('API token cleared'))
+                    .catch(error => this.showKeyringError(window, error));
             }
             dialog.close();
         });
 
         dialog.present();
     }
+
+    handleRemoveAccount(window, account) {
+        const dialog = new Adw.MessageDialog({
+            transient_for: window,
+            heading: _('Remove Account'),
+            body: _('This will remove "%s" and its credentials and stop its notifications.').format(account.name),
+        });
+
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('remove', _('Remove'));
+        dialog.set_response_appearance('remove', Adw.ResponseAppearance.DESTRUCTIVE);
+
+        dialog.connect('response', (dialog, response) => {
+            if (response === 'remove') {
+                removeAccount(window._settings, account.id);
+
+                window._credentials.clearAccount(account.id)
+                    .then(() => console.log(`Removed Linear account ${account.id}`))
+                    .catch(error => this.showKeyringError(window, error));
+            }
+            dialog.close();
+        });
+
+        dialog.present();
+    }
+
+    showKeyringError(window, error) {
+        console.error('Keyring operation failed:', error);
+
+        const dialog = new Adw.MessageDialog({
+            transient_for: window,
+            heading: _('Keyring Unavailable'),
+            body: _('Could not update your Linear credentials in the keyring. Make sure it is unlocked and try again.'),
+        });
+        dialog.add_response('ok', _('OK'));
+        dialog.connect('response', () => dialog.close());
+        dialog.present();
+    }
 }
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * Quiet hours schedule helpers
+ *
+ * The schedule is stored as a JSON array in the `quiet-hours-schedule`
+ * settings key with one entry per weekday, indexed like Date.getDay()
+ * (0 = Sunday). Ranges whose end is before their start run past midnight
+ * into the next day; equal start and end times cover the whole day.
+ */
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+function createDay() {
+    return { enabled: false, start: '22:00', end: '08:00' };
+}
+
+/**
+ * Load the weekly schedule, filling in missing or invalid days
+ */
+export function loadSchedule(settings) {
+    let schedule = [];
+
+    try {
+        schedule = JSON.parse(settings.get_string('quiet-hours-schedule'));
+    } catch (error) {
+        console.error('Failed to parse quiet hours schedule:', error);
+    }
+
+    return Array.from({ length: 7 }, (_, weekday) => ({ ...createDay(), ...schedule?.[weekday] }));
+}
+
+export function saveSchedule(settings, schedule) {
+    settings.set_string('quiet-hours-schedule', JSON.stringify(schedule));
+}
+
+/**
+ * Parse an "HH:MM" time into minutes after midnight
+ * @returns {number|null} - null if the time is invalid
+ */
+export function parseTime(time) {
+    const match = TIME_PATTERN.exec(time ?? '');
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Check whether a point in time falls within the quiet hours schedule
+ */
+export function isQuietTime(schedule, date = new Date()) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const today = schedule[date.getDay()];
+    const yesterday = schedule[(date.getDay() + 6) % 7];
+
+    if (today?.enabled) {
+        const start = parseTime(today.start);
+        const end = parseTime(today.end);
+
+        if (start !== null && end !== null) {
+            if (start === end) {
+                return true;
+            }
+
+            if (start < end ? minutes >= start && minutes < end : minutes >= start) {
+                return true;
+            }
+        }
+    }
+
+    // A range that started yesterday and runs past midnight
+    if (yesterday?.enabled) {
+        const start = parseTime(yesterday.start);
+        const end = parseTime(yesterday.end);
+
+        if (start !== null && end !== null && start > end && minutes < end) {
+            return true;
+        }
+    }
+
+    return false;
+}
\ No newline at end of file
@@ -0,0 +1,98 @@
+import Clutter from 'gi://Clutter';
+import GObject from 'gi://GObject';
+import St from 'gi://St';
+
+import * as Dialog from 'resource:///org/gnome/shell/ui/dialog.js';
+import * as ModalDialog from 'resource:///org/gnome/shell/ui/modalDialog.js';
+
+// Longer comments are cut off in the dialog
+const MAX_COMMENT_LENGTH = 500;
+
+/**
+ * Shell modal dialog showing a Linear comment with an entry to reply to it
+ *
+ * `onSubmit` receives the reply text and returns a promise; the dialog stays
+ * open and shows the error if it rejects. `onMarkRead` marks the notification
+ * read without replying.
+ */
+export const LinearReplyDialog = GObject.registerClass(
+class LinearReplyDialog extends ModalDialog.ModalDialog {
+    constructor({ title, comment, onSubmit, onMarkRead }) {
+        super({ styleClass: 'prompt-dialog' });
+
+        this.onSubmit = onSubmit;
+        this.submitting = false;
+
+        const excerpt = comment.length > MAX_COMMENT_LENGTH
+            ? `${comment.slice(0, MAX_COMMENT_LENGTH)}…`
+            : comment;
+
+        const content = new Dialog.MessageDialogContent({
+            title,
+            description: excerpt,
+        });
+        this.contentLayout.add_child(content);
+
+        this.entry = new St.Entry({
+            hint_text: 'Write a reply…',
+            can_focus: true,
+            x_expand: true,
+        });
+        this.entry.clutter_text.connect('activate', () => this.submit());
+        this.contentLayout.add_child(this.entry);
+
+        this.errorLabel = new St.Label({
+            style_class: 'prompt-dialog-error-label',
+            visible: false,
+        });
+        this.errorLabel.clutter_text.line_wrap = true;
+        this.contentLayout.add_child(this.errorLabel);
+
+        this.addButton({
+            label: 'Cancel',
+            action: () => this.close(),
+            key: Clutter.KEY_Escape,
+        });
+
+        this.addButton({
+            label: 'Mark Read',
+            action: () => {
+                this.close();
+                onMarkRead();
+            },
+        });
+
+        this.replyButton = this.addButton({
+            label: 'Reply',
+            action: () => this.submit(),
+            default: true,
+        });
+
+        this.setInitialKeyFocus(this.entry);
+    }
+
+    async submit() {
+        const body = this.entry.get_text().trim();
+
+        if (!body || this.submitting) {
+            return;
+        }
+
+        this.submitting = true;
+        this.entry.reactive = false;
+        this.replyButton.reactive = false;
+        this.errorLabel.visible = false;
+
+        try {
+            await this.onSubmit(body);
+            this.close();
+        } catch (error) {
+            this.errorLabel.text = `Could not post reply: ${error.message}`;
+            this.errorLabel.visible = true;
+            this.entry.reactive = true;
+            this.replyButton.reactive = true;
+        }
+
+        this.submitting = false;
+    }
+});
\ No newline at end of file
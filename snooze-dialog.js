@@ -0,0 +1,162 @@
+import Clutter from 'gi://Clutter';
+import GObject from 'gi://GObject';
+import St from 'gi://St';
+
+import * as Dialog from 'resource:///org/gnome/shell/ui/dialog.js';
+import * as ModalDialog from 'resource:///org/gnome/shell/ui/modalDialog.js';
+
+import { parseTime } from './quiet-hours.js';
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Time the custom snooze picker suggests on the next day
+const DEFAULT_CUSTOM_TIME = '09:00';
+
+/**
+ * Shell modal dialog offering the snooze presets and a custom time
+ *
+ * `onSnooze` receives the Date to snooze until.
+ */
+export const LinearSnoozeDialog = GObject.registerClass(
+class LinearSnoozeDialog extends ModalDialog.ModalDialog {
+    constructor({ title, presets, onSnooze }) {
+        super({ styleClass: 'prompt-dialog' });
+
+        const content = new Dialog.MessageDialogContent({
+            title: 'Snooze until…',
+            description: title,
+        });
+        this.contentLayout.add_child(content);
+
+        const presetBox = new St.Widget({
+            layout_manager: new Clutter.FlowLayout({ column_spacing: 6, row_spacing: 6 }),
+            x_expand: true,
+        });
+
+        for (const preset of presets) {
+            const button = new St.Button({
+                label: preset.label,
+                style_class: 'button',
+                can_focus: true,
+            });
+            button.connect('clicked', () => {
+                this.close();
+                onSnooze(preset.getTime(new Date()));
+            });
+            presetBox.add_child(button);
+        }
+
+        this.contentLayout.add_child(presetBox);
+
+        this.addButton({
+            label: 'Cancel',
+            action: () => this.close(),
+            key: Clutter.KEY_Escape,
+        });
+
+        this.addButton({
+            label: 'Custom…',
+            action: () => {
+                this.close();
+                new LinearCustomSnoozeDialog({ title, onSnooze }).open();
+            },
+        });
+    }
+});
+
+/**
+ * Shell modal dialog picking a date and time to snooze until
+ */
+export const LinearCustomSnoozeDialog = GObject.registerClass(
+class LinearCustomSnoozeDialog extends ModalDialog.ModalDialog {
+    constructor({ title, onSnooze }) {
+        super({ styleClass: 'prompt-dialog' });
+
+        this.onSnooze = onSnooze;
+
+        const content = new Dialog.MessageDialogContent({
+            title: 'Snooze until…',
+            description: title,
+        });
+        this.contentLayout.add_child(content);
+
+        const tomorrow = new Date();
+        tomorrow.setDate(tomorrow.getDate() + 1);
+
+        this.dateEntry = this.addEntry('Date (YYYY-MM-DD)', formatDate(tomorrow));
+        this.timeEntry = this.addEntry('Time (HH:MM)', DEFAULT_CUSTOM_TIME);
+
+        this.errorLabel = new St.Label({
+            style_class: 'prompt-dialog-error-label',
+            visible: false,
+        });
+        this.errorLabel.clutter_text.line_wrap = true;
+        this.contentLayout.add_child(this.errorLabel);
+
+        this.addButton({
+            label: 'Cancel',
+            action: () => this.close(),
+            key: Clutter.KEY_Escape,
+        });
+
+        this.addButton({
+            label: 'Snooze',
+            action: () => this.submit(),
+            default: true,
+        });
+
+        this.setInitialKeyFocus(this.dateEntry);
+    }
+
+    addEntry(label, text) {
+        this.contentLayout.add_child(new St.Label({ text: label }));
+
+        const entry = new St.Entry({
+            text,
+            can_focus: true,
+            x_expand: true,
+        });
+        entry.clutter_text.connect('activate', () => this.submit());
+        this.contentLayout.add_child(entry);
+
+        return entry;
+    }
+
+    submit() {
+        const date = DATE_PATTERN.exec(this.dateEntry.get_text().trim());
+        const minutes = parseTime(this.timeEntry.get_text().trim());
+
+        if (!date || minutes === null) {
+            this.showError('Enter a date like 2025-01-31 and a time like 09:00');
+            return;
+        }
+
+        const until = new Date(Number(date[1]), Number(date[2]) - 1, Number(date[3]),
+            Math.floor(minutes / 60), minutes % 60);
+
+        // Reject dates the Date constructor rolled over, like February 30
+        if (until.getDate() !== Number(date[3])) {
+            this.showError('That date does not exist');
+            return;
+        }
+
+        if (until.getTime() <= Date.now()) {
+            this.showError('Pick a time in the future');
+            return;
+        }
+
+        this.close();
+        this.onSnooze(until);
+    }
+
+    showError(message) {
+        this.errorLabel.text = message;
+        this.errorLabel.visible = true;
+    }
+});
+
+function formatDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
\ No newline at end of file
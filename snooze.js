@@ -0,0 +1,93 @@
+import { parseTime } from './quiet-hours.js';
+
+/**
+ * Snooze preset helpers
+ *
+ * Presets are stored in the `snooze-presets` settings key, each either a
+ * duration such as "30m", "3h" or "2d", or a day and time such as
+ * "tomorrow 09:00" or "monday 09:00" (the next Monday).
+ */
+
+const DURATION_PATTERN = /^(\d+)\s*([mhd])$/;
+const DAY_TIME_PATTERN = /^(\w+)\s+(\d{1,2}:\d{2})$/;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DURATION_UNITS = {
+    m: { milliseconds: 60 * 1000, singular: 'minute', plural: 'minutes' },
+    h: { milliseconds: 60 * 60 * 1000, singular: 'hour', plural: 'hours' },
+    d: { milliseconds: 24 * 60 * 60 * 1000, singular: 'day', plural: 'days' }
+};
+
+/**
+ * Parse a snooze preset
+ * @returns {{preset: string, label: string, getTime: function(Date): Date}|null} -
+ *   null if the preset is invalid
+ */
+export function parseSnoozePreset(preset) {
+    const text = preset.trim().toLowerCase();
+
+    const duration = DURATION_PATTERN.exec(text);
+    if (duration) {
+        const amount = Number(duration[1]);
+        const unit = DURATION_UNITS[duration[2]];
+        if (amount === 0) {
+            return null;
+        }
+
+        return {
+            preset,
+            label: `${amount} ${amount === 1 ? unit.singular : unit.plural}`,
+            getTime: now => new Date(now.getTime() + amount * unit.milliseconds)
+        };
+    }
+
+    const dayTime = DAY_TIME_PATTERN.exec(text);
+    const minutes = dayTime ? parseTime(dayTime[2]) : null;
+    if (minutes === null) {
+        return null;
+    }
+
+    const time = dayTime[2].padStart(5, '0');
+
+    if (dayTime[1] === 'tomorrow') {
+        return {
+            preset,
+            label: `Tomorrow ${time}`,
+            getTime: now => atMinutes(addDays(now, 1), minutes)
+        };
+    }
+
+    const weekday = WEEKDAYS.indexOf(dayTime[1]);
+    if (weekday === -1) {
+        return null;
+    }
+
+    return {
+        preset,
+        label: `Next ${dayTime[1][0].toUpperCase()}${dayTime[1].slice(1)} ${time}`,
+        // Always a later day, so "monday" on a Monday means a week from now
+        getTime: now => atMinutes(addDays(now, (weekday - now.getDay() + 6) % 7 + 1), minutes)
+    };
+}
+
+/**
+ * Load the configured snooze presets, skipping invalid ones
+ */
+export function loadSnoozePresets(settings) {
+    return settings.get_strv('snooze-presets')
+        .map(preset => parseSnoozePreset(preset))
+        .filter(Boolean);
+}
+
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+}
+
+function atMinutes(date, minutes) {
+    const result = new Date(date);
+    result.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+    return result;
+}
\ No newline at end of file
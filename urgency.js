@@ -0,0 +1,56 @@
+/**
+ * Mapping of issue priorities and notification types to urgency levels
+ *
+ * The `priority-urgency` and `type-urgency` settings map priority and type
+ * IDs to the level names below; types missing from `type-urgency` are
+ * normal. A notification gets the higher of its type's and its issue
+ * priority's level.
+ */
+
+export const URGENCY_LEVELS = [
+    { id: 'low', title: 'Low (message tray only)' },
+    { id: 'normal', title: 'Normal' },
+    { id: 'high', title: 'High' },
+    { id: 'critical', title: 'Critical (stays on screen)' }
+];
+
+// Linear's priority values, in the order they are offered
+export const PRIORITY_LEVELS = [
+    { id: 'urgent', title: 'Urgent', value: 1 },
+    { id: 'high', title: 'High', value: 2 },
+    { id: 'medium', title: 'Medium', value: 3 },
+    { id: 'low', title: 'Low', value: 4 },
+    { id: 'none', title: 'No priority', value: 0 }
+];
+
+const DEFAULT_LEVEL = 'normal';
+
+export function loadUrgencyMap(settings, key) {
+    return settings.get_value(key).deepUnpack();
+}
+
+/**
+ * Get the urgency level name of a notification
+ */
+export function getUrgencyLevel(settings, notification) {
+    const typeLevel = loadUrgencyMap(settings, 'type-urgency')[notification.type] ?? DEFAULT_LEVEL;
+
+    const priority = notification.data?.issue?.priority;
+    const priorityLevel = PRIORITY_LEVELS.find(level => level.value === priority);
+
+    // Notifications without an issue only have a type level
+    if (!priorityLevel) {
+        return typeLevel;
+    }
+
+    const priorityUrgency = loadUrgencyMap(settings, 'priority-urgency')[priorityLevel.id] ?? DEFAULT_LEVEL;
+    return getUrgencyRank(priorityUrgency) > getUrgencyRank(typeLevel) ? priorityUrgency : typeLevel;
+}
+
+/**
+ * Position of a level name in URGENCY_LEVELS; unknown names rank as normal
+ */
+export function getUrgencyRank(levelId) {
+    const index = URGENCY_LEVELS.findIndex(level => level.id === levelId);
+    return index === -1 ? URGENCY_LEVELS.findIndex(level => level.id === DEFAULT_LEVEL) : index;
+}
\ No newline at end of file